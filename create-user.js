@@ -0,0 +1,35 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const MetadataStore = require('./utils/metadataStore');
+const Auth = require('./utils/auth');
+
+// Creates a user and prints their API key. Use it to create the first admin,
+// who can then create further users through POST /api/users.
+// Usage: node create-user.js <name> [--admin]
+
+function createUser() {
+  const args = process.argv.slice(2);
+  const name = args.filter(arg => !arg.startsWith('--')).join(' ').trim();
+  const role = args.includes('--admin') ? 'admin' : 'user';
+
+  if (!name) {
+    console.error('Usage: node create-user.js <name> [--admin]');
+    process.exit(1);
+  }
+
+  const metadataStore = new MetadataStore(process.env.DATABASE_PATH || path.join(__dirname, 'data', 'metadata.db'));
+  const apiKey = Auth.generateApiKey();
+  const user = metadataStore.createUser({
+    id: uuidv4(),
+    name: name,
+    role: role,
+    apiKeyHash: Auth.hashApiKey(apiKey)
+  });
+  metadataStore.close();
+
+  console.log(`Created ${user.role} "${user.name}" (${user.id})`);
+  console.log(`API key: ${apiKey}`);
+  console.log('Store this key now; it cannot be shown again.');
+}
+
+createUser();
@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Storage = require('./utils/storage');
+const MetadataStore = require('./utils/metadataStore');
+const LegacyJsonImporter = require('./utils/legacyJsonImporter');
+
+// Rewrites stored file paths in the metadata store to portable storage keys and,
+// when STORAGE_DRIVER=s3, uploads the existing local files to the bucket.
+// Usage: node migrate-storage.js [--dry-run]
+
+const dataDir = path.join(__dirname, 'data');
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateStorage() {
+  const storage = Storage.fromEnv(__dirname);
+  const metadataStore = new MetadataStore(process.env.DATABASE_PATH || path.join(dataDir, 'metadata.db'));
+  const keys = new Set();
+  let rewritten = 0;
+
+  const toKey = (filePath) => {
+    const key = Storage.toKey(filePath, __dirname);
+    if (key !== filePath) {
+      rewritten++;
+    }
+    if (key) {
+      keys.add(key);
+    }
+    return key;
+  };
+
+  console.log(`Migrating file references to ${storage.name} storage${dryRun ? ' (dry run)' : ''}...`);
+
+  // Records still in data/*.json are imported first (paths are mapped to keys on import)
+  if (!dryRun) {
+    LegacyJsonImporter.run(metadataStore, dataDir, __dirname);
+  }
+
+  metadataStore.listTemplates().forEach(template => {
+    template.originalFile = toKey(template.originalFile);
+    template.versions.forEach(entry => {
+      entry.originalFile = toKey(entry.originalFile);
+      if (entry.sourceFile) {
+        entry.sourceFile = toKey(entry.sourceFile);
+      }
+    });
+    if (!dryRun) {
+      metadataStore.saveTemplate(template);
+    }
+  });
+
+  metadataStore.listPdfs().forEach(pdf => {
+    pdf.originalFile = toKey(pdf.originalFile);
+    if (!dryRun) {
+      metadataStore.savePdf(pdf);
+    }
+  });
+
+  metadataStore.listGeneratedDocuments().forEach(record => keys.add(Storage.outputKey(record.fileName)));
+  metadataStore.close();
+
+  console.log(`Rewrote ${rewritten} file references`);
+
+  let uploaded = 0;
+  const missing = [];
+  for (const key of keys) {
+    const localPath = path.join(__dirname, key);
+    const existsLocally = await fs.pathExists(localPath);
+
+    if (storage.name === 'local') {
+      if (!existsLocally) {
+        missing.push(key);
+      }
+      continue;
+    }
+
+    if (await storage.exists(key)) {
+      continue;
+    }
+    if (!existsLocally) {
+      missing.push(key);
+      continue;
+    }
+    if (!dryRun) {
+      await storage.put(key, localPath);
+    }
+    uploaded++;
+  }
+
+  if (storage.name !== 'local') {
+    console.log(`Uploaded ${uploaded} files to storage`);
+  }
+  if (missing.length > 0) {
+    console.log(`${missing.length} referenced files were not found:`);
+    missing.forEach(key => console.log(`  - ${key}`));
+  }
+  console.log('Storage migration complete');
+}
+
+migrateStorage().catch(error => {
+  console.error('Storage migration failed:', error);
+  process.exit(1);
+});
@@ -2,19 +2,38 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const DocxProcessor = require('./utils/docxProcessor');
 const PdfConverter = require('./utils/pdfConverter');
 const PdfToWordConverter = require('./utils/pdfToWordConverter');
 const AdvancedPdfToWordConverter = require('./utils/advancedPdfToWordConverter');
+const DocumentGenerator = require('./utils/documentGenerator');
+const CsvParser = require('./utils/csvParser');
+const JobQueue = require('./utils/jobQueue');
+const VariableValidator = require('./utils/variableValidator');
+const MetadataStore = require('./utils/metadataStore');
+const LegacyJsonImporter = require('./utils/legacyJsonImporter');
+const Storage = require('./utils/storage');
+const Auth = require('./utils/auth');
+const Workspaces = require('./utils/workspaces');
+const Permissions = require('./utils/permissions');
+const DownloadLinks = require('./utils/downloadLinks');
+const RetentionSweeper = require('./utils/retentionSweeper');
+const FileValidator = require('./utils/fileValidator');
+const TemplateLinter = require('./utils/templateLinter');
+const TemplatePreview = require('./utils/templatePreview');
+const PdfThumbnails = require('./utils/pdfThumbnails');
+const TemplateImages = require('./utils/templateImages');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Base64 images and large batches are sent as JSON, so allow bigger bodies than the 100 KB default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '20mb' }));
 app.use(express.static('public'));
 
 // Create uploads and temp directories
@@ -24,26 +43,52 @@ const tempDir = path.join(__dirname, 'temp');
 fs.ensureDirSync(uploadsDir);
 fs.ensureDirSync(tempDir);
 
+// Where templates, PDFs and generated outputs are kept (STORAGE_DRIVER=local|s3).
+// Records store storage keys such as "uploads/<file>" instead of absolute paths.
+const fileStorage = Storage.fromEnv(__dirname);
+console.log(`Using ${fileStorage.name} file storage`);
+
+// Template formats accepted on upload, with their MIME types; anything but DOCX is
+// converted to DOCX with LibreOffice
+const TEMPLATE_TYPES = {
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.doc': ['application/msword'],
+  '.odt': ['application/vnd.oasis.opendocument.text'],
+  '.rtf': ['application/rtf', 'text/rtf']
+};
+
+function getTemplateExtension(file) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  return TEMPLATE_TYPES[ext] ? ext : Object.keys(TEMPLATE_TYPES).find(key => TEMPLATE_TYPES[key].includes(file.mimetype));
+}
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    // Save with UUID and original extension only, avoid keeping original name
-    const ext = path.extname(file.originalname) || '.docx'
-    const uniqueName = `${uuidv4()}${ext}`;
-    cb(null, uniqueName);
+    // Save with a UUID only; the content is checked by validateUpload('template') after saving
+    cb(null, `${uuidv4()}${getTemplateExtension(file) || '.docx'}`);
   }
 });
 
+// Create the error a fileFilter rejects an upload with; answered with 400
+function uploadError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    // Only a first check: browsers and clients often send a generic type, so the
+    // extension is accepted too and validateUpload() sniffs the actual content
+    if (getTemplateExtension(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .docx files are allowed'), false);
+      cb(uploadError('Only .docx, .doc, .odt and .rtf files are allowed'), false);
     }
   },
   limits: {
@@ -57,18 +102,18 @@ const pdfStorage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueName = `${uuidv4()}-${file.originalname}`;
-    cb(null, uniqueName);
+    // The original name is kept in the PDF record, never in the path
+    cb(null, `${uuidv4()}.pdf`);
   }
 });
 
 const uploadPdf = multer({
   storage: pdfStorage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (file.mimetype === 'application/pdf' || path.extname(file.originalname).toLowerCase() === '.pdf') {
       cb(null, true);
     } else {
-      cb(new Error('Only .pdf files are allowed'), false);
+      cb(uploadError('Only .pdf files are allowed'), false);
     }
   },
   limits: {
@@ -76,89 +121,698 @@ const uploadPdf = multer({
   }
 });
 
-// Store templates in memory (in production, use a database)
-const templates = new Map();
+// Configure multer for images that image tags ({{%logo}}) refer to
+const imageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    // validateUpload('image') renames the file after the format it really has
+    cb(null, `${uuidv4()}.png`);
+  }
+});
 
-// Simple persistence to disk for templates and their saved values
-const dataDir = path.join(__dirname, 'data');
-const templatesDataFile = path.join(dataDir, 'templates.json');
-fs.ensureDirSync(dataDir);
+const uploadImage = multer({
+  storage: imageStorage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (Object.values(TemplateImages.contentTypes).includes(file.mimetype) || ['.png', '.jpg', '.jpeg', '.gif'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(uploadError('Only PNG, JPEG and GIF images are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Check an uploaded file by its content (magic bytes and structure), not the type the
+// client claims; rejected files are deleted before the route sees them.
+// Templates get req.file.format ('docx', 'doc', 'odt' or 'rtf') from their content;
+// images get it ('png', 'jpg' or 'gif') along with req.file.width and req.file.height.
+function validateUpload(kind) {
+  const validate = { pdf: FileValidator.validatePdf, image: FileValidator.validateImage }[kind] || FileValidator.validateTemplate;
+  return async (req, res, next) => {
+    if (!req.file) {
+      return next();
+    }
+    try {
+      const result = await validate.call(FileValidator, req.file.path);
+      if (!result.valid) {
+        await fs.remove(req.file.path);
+        console.log(`Rejected upload "${req.file.originalname}": ${result.error}`);
+        return res.status(400).json({ error: result.error });
+      }
+      req.file.originalname = FileValidator.sanitizeFileName(req.file.originalname, `document.${result.format || kind}`);
+
+      // Name the stored file after what it is, whatever extension it was uploaded with
+      if (result.format && path.extname(req.file.filename) !== `.${result.format}`) {
+        const filename = `${path.parse(req.file.filename).name}.${result.format}`;
+        await fs.move(req.file.path, path.join(uploadsDir, filename));
+        req.file.filename = filename;
+        req.file.path = path.join(uploadsDir, filename);
+      }
+      req.file.format = result.format;
+      if (kind === 'image') {
+        req.file.width = result.width;
+        req.file.height = result.height;
+      }
+      next();
+    } catch (error) {
+      await fs.remove(req.file.path).catch(() => {});
+      next(error);
+    }
+  };
+}
+
+// Convert validated .doc, .odt and .rtf template uploads to DOCX with LibreOffice.
+// req.file then describes the DOCX, and req.file.source the original upload, kept for reference.
+async function convertTemplateUpload(req, res, next) {
+  if (!req.file || req.file.format === 'docx') {
+    return next();
+  }
 
-function saveTemplatesToDisk() {
+  const source = { filename: req.file.filename, path: req.file.path, format: req.file.format };
+  const docxPath = path.join(uploadsDir, `${path.parse(source.filename).name}.docx`);
   try {
-    // Convert Map values to an array of plain objects
-    const serializable = Array.from(templates.values());
-    fs.writeFileSync(templatesDataFile, JSON.stringify(serializable, null, 2));
-  } catch (err) {
-    console.error('Failed to save templates to disk:', err);
-  }
-}
-
-function loadTemplatesFromDisk() {
-  try {
-    if (fs.existsSync(templatesDataFile)) {
-      const raw = fs.readFileSync(templatesDataFile, 'utf8');
-      const arr = JSON.parse(raw);
-      templates.clear();
-      arr.forEach((t) => {
-        // Backward compatible: ensure fields exist
-        const normalized = {
-          id: t.id,
-          name: t.name || '',
-          originalFile: t.originalFile,
-          variables: Array.isArray(t.variables) ? t.variables : [],
-          originalText: t.originalText || '',
-          createdAt: t.createdAt || new Date().toISOString(),
-          // new optional field for saved default values
-          savedValues: t.savedValues && typeof t.savedValues === 'object' ? t.savedValues : {}
-        };
-        templates.set(normalized.id, normalized);
+    if (!(await PdfConverter.isLibreOfficeAvailable())) {
+      await fs.remove(source.path);
+      return res.status(415).json({
+        error: `Converting .${source.format} files needs LibreOffice, which is not installed on this server. Save the file as .docx and upload again`
       });
-      console.log(`Loaded ${templates.size} templates from disk`);
     }
+
+    await PdfConverter.convertToDocx(source.path, docxPath);
+    const result = await FileValidator.validateDocx(docxPath);
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error(`Template conversion error (${req.file.originalname}):`, error.message);
+    await fs.remove(source.path);
+    await fs.remove(docxPath);
+    return res.status(400).json({
+      error: `Could not convert "${req.file.originalname}" to DOCX. Check that the file opens in Word or LibreOffice`
+    });
+  }
+
+  req.file.source = source;
+  req.file.filename = path.basename(docxPath);
+  req.file.path = docxPath;
+  console.log(`Converted template "${req.file.originalname}" from .${source.format} to DOCX`);
+  next();
+}
+
+// Store an uploaded template (and the original it was converted from, if any)
+// Returns the storage keys of the DOCX and of the original.
+async function storeTemplateUpload(file) {
+  const sourceFile = file.source ? await fileStorage.put(Storage.uploadKey(file.source.filename), file.source.path) : null;
+  const fileKey = await fileStorage.put(Storage.uploadKey(file.filename), file.path);
+  return { fileKey, sourceFile };
+}
+
+// Delete an uploaded template that is not going to be stored
+async function removeTemplateUpload(file) {
+  await fs.remove(file.path);
+  if (file.source) {
+    await fs.remove(file.source.path);
+  }
+}
+
+// Format of the original upload a template version was converted from, or null for DOCX uploads
+function getSourceFormat(entry) {
+  return entry && entry.sourceFile ? path.extname(entry.sourceFile).slice(1) : null;
+}
+
+// Configure multer for CSV uploads used by batch generation (kept in memory)
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const csvMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+    if (csvMimeTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(uploadError('Only .csv files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Upper bound on documents per batch request
+const MAX_BATCH_ROWS = 1000;
+
+// PDF rows are converted by LibreOffice one after another (up to 30 s each) within the request
+const MAX_PDF_BATCH_ROWS = 20;
+
+// Largest page GET /api/audit returns as JSON
+const MAX_AUDIT_PAGE_SIZE = 1000;
+
+// Download links are signed and expire, so they can be handed out without the API key
+if (!process.env.DOWNLOAD_LINK_SECRET) {
+  console.warn('DOWNLOAD_LINK_SECRET is not set; using a random secret, so download links stop working when the server restarts');
+}
+const downloadLinks = new DownloadLinks({
+  secret: process.env.DOWNLOAD_LINK_SECRET || crypto.randomBytes(32).toString('hex'),
+  defaultTtl: parseInt(process.env.DOWNLOAD_LINK_TTL, 10) || 3600
+});
+
+// How long each class of stored file is kept, in seconds; RETENTION_<CLASS>_TTL overrides, 0 keeps forever
+function getRetentionTtl(name, fallback) {
+  const ttl = parseInt(process.env[`RETENTION_${name.toUpperCase()}_TTL`], 10);
+  return Number.isNaN(ttl) || ttl < 0 ? fallback : ttl;
+}
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const retentionClasses = [
+  // Leftovers of conversions that crashed before cleaning up after themselves
+  { name: 'intermediate', folder: 'temp', pattern: /^intermediate-/, ttl: getRetentionTtl('intermediate', HOUR) },
+  { name: 'generated', folder: 'temp', pattern: /^generated-/, ttl: getRetentionTtl('generated', 7 * DAY) },
+  { name: 'converted', folder: 'temp', pattern: /^converted-/, ttl: getRetentionTtl('converted', 7 * DAY) },
+  { name: 'batch', folder: 'temp', pattern: /^batch-.*\.zip$/, ttl: getRetentionTtl('batch', 7 * DAY) },
+  { name: 'test', folder: 'temp', pattern: /^test-/, ttl: getRetentionTtl('test', DAY) },
+  // Template and PDF files are kept while a template version or PDF record points to them
+  { name: 'uploads', folder: 'uploads', pattern: /./, ttl: getRetentionTtl('uploads', DAY) }
+];
+
+// Templates, saved values, PDF uploads and generated-document records live in SQLite
+const dataDir = path.join(__dirname, 'data');
+const metadataStore = new MetadataStore(process.env.DATABASE_PATH || path.join(dataDir, 'metadata.db'));
+
+function createVersionEntry(version, originalFile, variables, structure, sourceFile, createdAt) {
+  return {
+    version,
+    originalFile,
+    sourceFile: sourceFile || null,
+    variables,
+    structure,
+    createdAt: createdAt || new Date().toISOString()
+  };
+}
+
+// Look up a template version; defaults to the current one
+function getTemplateVersion(template, version) {
+  const wanted = version === undefined || version === null || version === '' ? template.version : Number(version);
+  return template.versions.find(v => v.version === wanted);
+}
+
+function diffVariables(before, after) {
+  return {
+    added: after.filter(name => !before.includes(name)),
+    removed: before.filter(name => !after.includes(name))
+  };
+}
+
+// Drop PDF records whose file is gone, and adopt PDF files in uploads/ that no record points to
+// (e.g. uploads from before the metadata database) into the default workspace instead of deleting them
+async function reconcilePdfsWithDisk() {
+  try {
+    let droppedRecords = 0;
+    for (const pdf of metadataStore.listPdfs()) {
+      if (!pdf.originalFile || !(await fileStorage.exists(pdf.originalFile))) {
+        metadataStore.deletePdf(pdf.id);
+        droppedRecords++;
+      }
+    }
+
+    const referenced = new Set(metadataStore.listPdfs().map(pdf => pdf.originalFile));
+    let adoptedFiles = 0;
+    const pdfKeys = (await fileStorage.list('uploads'))
+      .filter(key => path.extname(key).toLowerCase() === '.pdf');
+    for (const key of pdfKeys) {
+      if (!referenced.has(key)) {
+        metadataStore.savePdf({
+          id: uuidv4(),
+          workspaceId: MetadataStore.DEFAULT_WORKSPACE_ID,
+          ownerId: null,
+          originalFile: key,
+          originalName: path.basename(key),
+          createdAt: new Date().toISOString()
+        });
+        console.log(`PDF reconciliation: adopted ${key} into the default workspace`);
+        adoptedFiles++;
+      }
+    }
+
+    console.log(`PDF reconciliation: dropped ${droppedRecords} records without files, adopted ${adoptedFiles} files without records`);
   } catch (err) {
-    console.error('Failed to load templates from disk:', err);
+    console.error('Failed to reconcile PDF records with disk:', err);
+  }
+}
+
+// Keys of uploads that a template version, PDF record (with its thumbnail cache) or image still points to
+function getReferencedUploadKeys() {
+  const keys = new Set();
+  metadataStore.listTemplates().forEach(template => {
+    template.versions.forEach(entry => {
+      keys.add(entry.originalFile);
+      if (entry.sourceFile) {
+        keys.add(entry.sourceFile);
+      }
+    });
+  });
+  metadataStore.listPdfs().forEach(pdf => {
+    keys.add(pdf.originalFile);
+    pdfThumbnails.cacheKeys(pdf.originalFile).forEach(key => keys.add(key));
+  });
+  metadataStore.listImages().forEach(image => keys.add(image.originalFile));
+  return keys;
+}
+
+const retentionSweeper = new RetentionSweeper({
+  storage: fileStorage,
+  rootDir: __dirname,
+  classes: retentionClasses,
+  getReferencedKeys: getReferencedUploadKeys,
+  intervalMs: (process.env.RETENTION_SWEEP_INTERVAL !== undefined
+    ? parseInt(process.env.RETENTION_SWEEP_INTERVAL, 10) || 0
+    : HOUR) * 1000
+});
+
+// Page thumbnails are cached next to each PDF and expire with it
+const pdfThumbnails = new PdfThumbnails({
+  storage: fileStorage,
+  workDir: tempDir,
+  width: parseInt(process.env.THUMBNAIL_WIDTH, 10) || 200,
+  maxPages: parseInt(process.env.THUMBNAIL_MAX_PAGES, 10) || 50
+});
+
+// Describe the thumbnails of a stored PDF, with the URL of each page's image
+async function getThumbnailList(pdfKey, baseUrl) {
+  const { pageCount, pages, width, truncated } = await pdfThumbnails.get(pdfKey);
+  return {
+    pageCount,
+    width,
+    truncated,
+    pages: pages.map(page => ({ page, url: `${baseUrl}/${page}` }))
+  };
+}
+
+// Stream one page's thumbnail of a stored PDF
+async function sendThumbnail(res, pdfKey, page) {
+  const key = Number.isInteger(page) && page > 0 ? await pdfThumbnails.getPage(pdfKey, page) : null;
+  if (!key) {
+    return res.status(404).json({ error: 'Page thumbnail not found' });
+  }
+
+  res.setHeader('Content-Type', 'image/png');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  const fileStream = await fileStorage.createReadStream(key);
+  fileStream.on('error', (err) => {
+    console.error('Thumbnail stream error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream thumbnail' });
+    }
+  });
+  fileStream.pipe(res);
+}
+
+// Records of generated documents link each output to its template and inputs
+function recordGeneratedDocument(record) {
+  return metadataStore.saveGeneratedDocument({
+    ...record,
+    downloadUrl: `/api/download/${record.fileName}`,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Signed link to a file in temp/, issued to the calling user
+function getDownloadUrl(req, fileName) {
+  return downloadLinks.sign(fileName, { userId: req.user.id }).url;
+}
+
+function toGeneratedDocumentResponse(record, req) {
+  return {
+    id: record.id,
+    type: record.type,
+    templateId: record.templateId,
+    templateName: record.templateName,
+    templateVersion: record.templateVersion,
+    format: record.format,
+    fileName: record.fileName,
+    downloadUrl: getDownloadUrl(req, record.fileName),
+    variables: record.variables,
+    createdAt: record.createdAt
+  };
+}
+
+// Hand a file written to temp/ over to storage and return its key
+async function storeOutput(fileName) {
+  return fileStorage.put(Storage.outputKey(fileName), path.join(tempDir, fileName));
+}
+
+// Records outside the request's workspace are reported as not found, so IDs do not leak.
+// Templates shared from another workspace come back with readOnly: true.
+function getAccessibleTemplate(req, templateId) {
+  const template = metadataStore.getTemplate(templateId);
+  const access = template ? Workspaces.templateAccess(req, template, metadataStore) : null;
+  return access ? { ...template, readOnly: access !== 'write' } : null;
+}
+
+function getAccessiblePdf(req, fileId) {
+  const pdfFile = metadataStore.getPdf(fileId);
+  return pdfFile && Workspaces.canAccess(req, pdfFile) ? pdfFile : null;
+}
+
+function getAccessibleImage(req, imageId) {
+  const image = metadataStore.getImage(imageId);
+  return image && Workspaces.canAccess(req, image) ? image : null;
+}
+
+// Names of a template version's top-level image tags ({{%logo}})
+function getImageVariables(structure) {
+  return (structure || []).filter(node => node.type === 'image').map(node => node.name);
+}
+
+// Load the uploaded images a variables payload refers to as { imageId } and check the values
+// of the template's image tags, so a missing or broken image fails as a field error.
+// Pass the same cache for every row of a batch so each image is read once.
+// Returns { values, errors } like VariableValidator.validate(); values hold the image data.
+async function loadImageValues(req, structure, variables, cache = new Map()) {
+  const errors = [];
+  const load = async (value, field) => {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => load(item, field)));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (typeof value.imageId === 'string') {
+      const { imageId, ...options } = value;
+      const image = getAccessibleImage(req, imageId);
+      if (!image) {
+        errors.push({ field, message: `Image ${imageId} not found` });
+        return value;
+      }
+      if (!cache.has(imageId)) {
+        cache.set(imageId, fileStorage.getLocalPath(image.originalFile).then(localPath => fs.readFile(localPath)));
+      }
+      return { ...options, data: await cache.get(imageId) };
+    }
+    const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await load(item, field)]));
+    return Object.fromEntries(entries);
+  };
+
+  const values = {};
+  for (const [field, value] of Object.entries(variables || {})) {
+    values[field] = await load(value, field);
+  }
+
+  getImageVariables(structure).forEach(field => {
+    const message = errors.some(error => error.field === field) ? null : TemplateImages.checkValue(values[field]);
+    if (message) {
+      errors.push({ field, message });
+    }
+  });
+  return { values, errors };
+}
+
+function getAccessibleJob(req, jobId) {
+  const job = jobQueue.get(jobId);
+  return job && Workspaces.canAccess(req, { workspaceId: job.payload.workspaceId }) ? job : null;
+}
+
+// Actions written to the audit log
+const AUDIT_ACTIONS = [
+  'template.upload', 'template.view', 'template.values', 'template.schema', 'template.replace',
+  'template.rollback', 'template.delete', 'template.share', 'template.unshare',
+  'document.generate', 'document.batch', 'document.download',
+  'pdf.upload', 'pdf.view', 'pdf.convert', 'pdf.delete',
+  'image.upload', 'image.delete'
+];
+
+// Append an event for the calling user to the audit log.
+// Failures are logged but never fail the request that triggered them.
+function recordAudit(req, action, event = {}) {
+  try {
+    metadataStore.recordAuditEvent({
+      action: action,
+      userId: req.user.id,
+      userName: req.user.name,
+      workspaceId: req.workspace ? req.workspace.id : null,
+      ...event
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+// Stand-in request for audit events that happen without one, such as finished jobs and signed downloads
+function getAuditRequest(userId, workspaceId) {
+  return {
+    user: metadataStore.getUser(userId) || { id: userId },
+    workspace: { id: workspaceId }
+  };
+}
+
+// Permission needed to submit, cancel or retry a job of the given type
+function getJobPermission(type) {
+  return type === 'convert-pdf-to-word' ? 'pdfs:convert' : 'documents:generate';
+}
+
+// Work out which workspace a file in temp/ belongs to from the record that produced it
+function getOutputWorkspaceId(fileName) {
+  const record = metadataStore.findGeneratedDocumentByFileName(fileName);
+  if (record) {
+    return record.workspaceId;
+  }
+
+  const converted = fileName.match(/^converted-(.+)\.docx$/);
+  if (converted) {
+    const pdfFile = metadataStore.getPdf(converted[1]);
+    const job = jobQueue.get(converted[1]);
+    if (pdfFile) return pdfFile.workspaceId;
+    if (job) return job.payload.workspaceId;
   }
+
+  return null;
 }
 
-// Store uploaded PDF files for conversion (in production, use a database)
-const uploadedPdfs = new Map();
+// Authentication: every API route needs an API key except the health check and
+// downloads, which are authorized by their signed link instead
+app.use('/api', Auth.authenticate(metadataStore, { publicPaths: ['/health', '/download/'] }));
+
+// Workspaces: records belong to the workspace selected with the X-Workspace-Id header
+app.use('/api', Workspaces.resolve(metadataStore));
+
+// Who am I
+app.get('/api/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    workspaces: metadataStore.listWorkspacesForUser(req.user.id)
+      .map(workspace => ({ ...workspace, permissions: Permissions.forRole(workspace.role) }))
+  });
+});
+
+// List users (admin only)
+app.get('/api/users', Auth.requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      users: metadataStore.listUsers()
+    });
+
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Create a user and issue their API key (admin only)
+app.post('/api/users', Auth.requireAdmin, (req, res) => {
+  try {
+    const { name, role = 'user' } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!Auth.roles.includes(role)) {
+      return res.status(400).json({ error: `Unknown role "${role}". Use one of: ${Auth.roles.join(', ')}` });
+    }
+
+    const apiKey = Auth.generateApiKey();
+    const user = metadataStore.createUser({
+      id: uuidv4(),
+      name: name.trim(),
+      role: role,
+      apiKeyHash: Auth.hashApiKey(apiKey)
+    });
+
+    res.status(201).json({
+      success: true,
+      user: user,
+      // only returned once; the server keeps a hash
+      apiKey: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// List the workspaces the caller can use (admins see all)
+app.get('/api/workspaces', (req, res) => {
+  try {
+    const workspaces = Auth.isAdmin(req.user)
+      ? metadataStore.listWorkspaces().map(workspace => ({ ...workspace, role: 'admin' }))
+      : metadataStore.listWorkspacesForUser(req.user.id);
+
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => ({ ...workspace, permissions: Permissions.forRole(workspace.role) }))
+    });
+
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    res.status(500).json({ error: 'Failed to list workspaces' });
+  }
+});
+
+// List workspace roles and the permissions each grants
+app.get('/api/permissions', (req, res) => {
+  res.json({
+    success: true,
+    permissions: Permissions.all,
+    roles: Permissions.roles.map(role => ({ role: role, permissions: Permissions.forRole(role) }))
+  });
+});
+
+// Create a workspace (admin only)
+app.post('/api/workspaces', Auth.requireAdmin, (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const workspace = metadataStore.createWorkspace({ id: uuidv4(), name: name.trim() });
+
+    res.status(201).json({
+      success: true,
+      workspace: workspace
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+// List the members of a workspace
+app.get('/api/workspaces/:workspaceId/members', Workspaces.requireMembership(metadataStore, 'members:read'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      workspace: { id: req.workspace.id, name: req.workspace.name },
+      members: metadataStore.listMembers(req.workspace.id)
+    });
+
+  } catch (error) {
+    console.error('List workspace members error:', error);
+    res.status(500).json({ error: 'Failed to list workspace members' });
+  }
+});
+
+// Add a member to a workspace or change their role
+app.put('/api/workspaces/:workspaceId/members/:userId', Workspaces.requireMembership(metadataStore, 'members:manage'), (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!Permissions.roles.includes(role)) {
+      return res.status(400).json({ error: `Unknown role "${role}". Use one of: ${Permissions.roles.join(', ')}` });
+    }
+
+    if (!metadataStore.getUser(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    metadataStore.setMember(req.workspace.id, userId, role);
+
+    res.json({
+      success: true,
+      members: metadataStore.listMembers(req.workspace.id)
+    });
+
+  } catch (error) {
+    console.error('Set workspace member error:', error);
+    res.status(500).json({ error: 'Failed to update workspace member' });
+  }
+});
+
+// Remove a member from a workspace
+app.delete('/api/workspaces/:workspaceId/members/:userId', Workspaces.requireMembership(metadataStore, 'members:manage'), (req, res) => {
+  try {
+    const { userId } = req.params;
 
+    if (!metadataStore.removeMember(req.workspace.id, userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({
+      success: true,
+      members: metadataStore.listMembers(req.workspace.id)
+    });
 
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ error: 'Failed to remove workspace member' });
+  }
+});
 
 // Step 1: Upload and parse DOCX file
-app.post('/api/upload-template', upload.single('file'), async (req, res) => {
+app.post('/api/upload-template', Permissions.require('templates:write'), upload.single('file'), validateUpload('template'), convertTemplateUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
+    const { fileKey, sourceFile } = await storeTemplateUpload(req.file);
     const templateId = uuidv4();
     const originalBaseName = path.parse(req.file.originalname).name;
 
     // Extract text and variables from DOCX
-    const { text, variables: variablesArray } = await DocxProcessor.extractTextAndVariables(filePath);
+    const { variables: variablesArray, imageVariables, structure, locations, warnings } = await DocxProcessor.extractTextAndVariables(
+      await fileStorage.getLocalPath(fileKey)
+    );
 
     // Store template information
-    templates.set(templateId, {
+    metadataStore.saveTemplate({
       id: templateId,
       name: originalBaseName,
-      originalFile: filePath,
+      workspaceId: req.workspace.id,
+      ownerId: req.user.id,
+      originalFile: fileKey,
       variables: variablesArray,
-      originalText: text,
+      structure: structure,
       createdAt: new Date().toISOString(),
       // optional persisted defaults per variable
-      savedValues: {}
+      savedValues: {},
+      schema: {},
+      version: 1,
+      versions: [createVersionEntry(1, fileKey, variablesArray, structure, sourceFile)]
+    });
+    recordAudit(req, 'template.upload', {
+      templateId: templateId,
+      details: { name: originalBaseName, fileName: req.file.originalname, convertedFrom: req.file.source ? req.file.source.format : null, variables: variablesArray }
     });
-
-    // persist to disk
-    saveTemplatesToDisk();
 
     res.json({
       success: true,
       templateId: templateId,
       variables: variablesArray,
+      imageVariables: imageVariables,
+      structure: structure,
+      locations: locations,
+      warnings: warnings,
+      convertedFrom: req.file.source ? req.file.source.format : null,
       message: `Template uploaded successfully. Found ${variablesArray.length} variables.`
     });
 
@@ -169,23 +823,32 @@ app.post('/api/upload-template', upload.single('file'), async (req, res) => {
 });
 
 // Step 2: Get template variables
-app.get('/api/template/:templateId', (req, res) => {
+app.get('/api/template/:templateId', Permissions.require('templates:read'), (req, res) => {
   try {
     const { templateId } = req.params;
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
 
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
+    recordAudit(req, 'template.view', { templateId: template.id });
 
     res.json({
       success: true,
       template: {
         id: template.id,
         name: template.name || '',
+        workspaceId: template.workspaceId,
+        readOnly: template.readOnly,
+        ownerId: template.ownerId,
         variables: template.variables,
+        imageVariables: getImageVariables(template.structure),
+        structure: template.structure || [],
+        version: template.version,
+        convertedFrom: getSourceFormat(getTemplateVersion(template)),
         createdAt: template.createdAt,
-        savedValues: template.savedValues || {}
+        savedValues: template.savedValues || {},
+        schema: template.schema || {}
       }
     });
 
@@ -196,7 +859,7 @@ app.get('/api/template/:templateId', (req, res) => {
 });
 
 // Save default values for a template's variables
-app.post('/api/template/:templateId/values', (req, res) => {
+app.post('/api/template/:templateId/values', Permissions.require('templates:values'), (req, res) => {
   try {
     const { templateId } = req.params;
     const { values } = req.body;
@@ -205,17 +868,21 @@ app.post('/api/template/:templateId/values', (req, res) => {
       return res.status(400).json({ error: 'Invalid or missing values object' });
     }
 
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
     template.savedValues = {
       ...(template.savedValues || {}),
       ...values
     };
-    templates.set(templateId, template);
-    saveTemplatesToDisk();
+    metadataStore.saveTemplate(template);
+    recordAudit(req, 'template.values', { templateId: template.id, details: { values: values } });
 
     res.json({
       success: true,
@@ -228,119 +895,712 @@ app.post('/api/template/:templateId/values', (req, res) => {
   }
 });
 
-// Step 3 & 4: Generate document with user values
-app.post('/api/generate-document', async (req, res) => {
+// Save the typed schema for a template's variables
+app.post('/api/template/:templateId/schema', Permissions.require('templates:write'), (req, res) => {
   try {
-    const { templateId, variables, format = 'docx' } = req.body;
+    const { templateId } = req.params;
+    const { schema } = req.body;
 
-    if (!templateId || !variables) {
-      return res.status(400).json({ error: 'Template ID and variables are required' });
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return res.status(400).json({ error: 'Invalid or missing schema object' });
     }
 
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Process template with variables
-    let outputPath;
-    let fileName;
-
-    if (format === 'docx') {
-      fileName = `generated-${templateId}.docx`;
-      outputPath = path.join(tempDir, fileName);
-      console.log('Generating DOCX file at:', outputPath);
-      await DocxProcessor.processTemplate(template.originalFile, variables, outputPath);
-      
-      // Verify file was created
-      if (!fs.existsSync(outputPath)) {
-        throw new Error('Generated file was not created');
-      }
-      
-      const stats = fs.statSync(outputPath);
-      console.log('Generated file size:', stats.size);
-      
-      if (stats.size === 0) {
-        throw new Error('Generated file is empty');
-      }
-    } else if (format === 'pdf') {
-      // Render the DOCX with variables preserved (keeps tables/styles)
-      const intermediateDocx = path.join(tempDir, `intermediate-${templateId}.docx`);
-      console.log('Generating intermediate DOCX at:', intermediateDocx);
-      await DocxProcessor.processTemplate(template.originalFile, variables, intermediateDocx);
-
-      fileName = `generated-${templateId}.pdf`;
-      outputPath = path.join(tempDir, fileName);
-
-      // Check if LibreOffice is available for best PDF conversion
-      const libreOfficeAvailable = await PdfConverter.isLibreOfficeAvailable();
-      console.log('LibreOffice available:', libreOfficeAvailable);
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
 
-      // Use improved PDF conversion with multiple fallback options
-      console.log('Starting PDF conversion with multiple fallback options:', outputPath);
-      try {
-        await PdfConverter.convertDocxToPdfNative(intermediateDocx, outputPath);
-        console.log('PDF conversion completed successfully');
-      } catch (pdfErr) {
-        console.error('All PDF conversion methods failed:', pdfErr.message);
-        throw new Error(`PDF conversion failed: ${pdfErr.message}. Please ensure LibreOffice is installed for best results.`);
-      }
-      
-      // Verify file was created
-      if (!fs.existsSync(outputPath)) {
-        throw new Error('Generated file was not created');
-      }
-      
-      const stats = fs.statSync(outputPath);
-      console.log('Generated file size:', stats.size);
-      
-      if (stats.size === 0) {
-        throw new Error('Generated file is empty');
-      }
-    } else {
-      return res.status(400).json({ error: 'Unsupported format. Use "docx" or "pdf"' });
+    const { schema: normalized, errors } = VariableValidator.normalizeSchema(schema, template.variables);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schema', fieldErrors: errors });
     }
 
-    // Create download URL
-    const downloadUrl = `/api/download/${fileName}`;
-    console.log('Download URL created:', downloadUrl);
+    // Merge per variable; a null definition removes it
+    const merged = { ...(template.schema || {}), ...normalized };
+    Object.keys(merged).forEach(field => {
+      if (merged[field] === null) {
+        delete merged[field];
+      }
+    });
+    template.schema = merged;
+    metadataStore.saveTemplate(template);
+    recordAudit(req, 'template.schema', { templateId: template.id, details: { schema: normalized } });
 
     res.json({
       success: true,
-      downloadUrl: downloadUrl,
-      fileName: fileName,
-      message: `Document generated successfully in ${format.toUpperCase()} format.`
+      schema: template.schema
     });
 
   } catch (error) {
-    console.error('Generate document error:', error);
-    res.status(500).json({ error: 'Failed to generate document' });
+    console.error('Save template schema error:', error);
+    res.status(500).json({ error: 'Failed to save template schema' });
   }
 });
 
-// Step 5: Download generated file
-app.get('/api/download/:fileName', (req, res) => {
+// Upload a new version of an existing template
+app.put('/api/template/:templateId/file', Permissions.require('templates:write'), upload.single('file'), validateUpload('template'), convertTemplateUpload, async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const filePath = path.join(tempDir, fileName);
-    
-    console.log('Download request for file:', fileName);
-    console.log('File path:', filePath);
+    const { templateId } = req.params;
 
-    if (!fs.existsSync(filePath)) {
-      console.error('File not found:', filePath);
-      return res.status(404).json({ error: 'File not found' });
-    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const template = getAccessibleTemplate(req, templateId);
+    if (!template) {
+      await removeTemplateUpload(req.file);
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.readOnly) {
+      await removeTemplateUpload(req.file);
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
+    const { fileKey, sourceFile } = await storeTemplateUpload(req.file);
+    const { variables: variablesArray, imageVariables, structure, locations, warnings } = await DocxProcessor.extractTextAndVariables(
+      await fileStorage.getLocalPath(fileKey)
+    );
+
+    const previousVariables = template.variables;
+    const version = Math.max(...template.versions.map(v => v.version)) + 1;
+    template.versions.push(createVersionEntry(version, fileKey, variablesArray, structure, sourceFile));
+
+    // The newest version becomes current; saved values and schema carry over
+    template.version = version;
+    template.originalFile = fileKey;
+    template.variables = variablesArray;
+    template.structure = structure;
+    metadataStore.saveTemplate(template);
+    recordAudit(req, 'template.replace', {
+      templateId: templateId,
+      details: { version: version, fileName: req.file.originalname, convertedFrom: req.file.source ? req.file.source.format : null, variables: variablesArray }
+    });
+
+    res.json({
+      success: true,
+      templateId: templateId,
+      version: version,
+      variables: variablesArray,
+      imageVariables: imageVariables,
+      structure: structure,
+      locations: locations,
+      warnings: warnings,
+      convertedFrom: req.file.source ? req.file.source.format : null,
+      diff: diffVariables(previousVariables, variablesArray),
+      message: `Template updated to version ${version}. Found ${variablesArray.length} variables.`
+    });
+
+  } catch (error) {
+    console.error('Upload template version error:', error);
+    res.status(500).json({ error: 'Failed to process template' });
+  }
+});
+
+// List the versions of a template
+app.get('/api/template/:templateId/versions', Permissions.require('templates:read'), (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const versions = template.versions.map((entry, index) => ({
+      version: entry.version,
+      current: entry.version === template.version,
+      convertedFrom: getSourceFormat(entry),
+      variables: entry.variables,
+      createdAt: entry.createdAt,
+      // changes relative to the version uploaded before this one
+      diff: index > 0 ? diffVariables(template.versions[index - 1].variables, entry.variables) : null
+    }));
+
+    res.json({
+      success: true,
+      currentVersion: template.version,
+      versions: versions
+    });
+
+  } catch (error) {
+    console.error('List template versions error:', error);
+    res.status(500).json({ error: 'Failed to list template versions' });
+  }
+});
+
+// Compare the variables of two template versions
+app.get('/api/template/:templateId/diff', Permissions.require('templates:read'), (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const from = getTemplateVersion(template, req.query.from);
+    const to = getTemplateVersion(template, req.query.to);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    res.json({
+      success: true,
+      from: from.version,
+      to: to.version,
+      diff: diffVariables(from.variables, to.variables)
+    });
+
+  } catch (error) {
+    console.error('Diff template versions error:', error);
+    res.status(500).json({ error: 'Failed to compare template versions' });
+  }
+});
+
+// Make an earlier version the current one
+app.post('/api/template/:templateId/rollback', Permissions.require('templates:write'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { version } = req.body;
+
+    if (version === undefined || version === null) {
+      return res.status(400).json({ error: 'Version is required' });
+    }
+
+    const template = getAccessibleTemplate(req, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
+    const target = getTemplateVersion(template, version);
+    if (!target) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const previousVariables = template.variables;
+
+    template.version = target.version;
+    template.originalFile = target.originalFile;
+    template.variables = target.variables;
+    template.structure = target.structure;
+    metadataStore.saveTemplate(template);
+    recordAudit(req, 'template.rollback', { templateId: templateId, details: { version: target.version } });
+
+    res.json({
+      success: true,
+      templateId: templateId,
+      version: target.version,
+      variables: target.variables,
+      diff: diffVariables(previousVariables, target.variables),
+      message: `Template rolled back to version ${target.version}.`
+    });
+
+  } catch (error) {
+    console.error('Rollback template error:', error);
+    res.status(500).json({ error: 'Failed to roll back template' });
+  }
+});
+
+// List the workspaces a template is shared with
+app.get('/api/template/:templateId/shares', Permissions.require('templates:read'), (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
+    res.json({
+      success: true,
+      shares: metadataStore.listTemplateShares(templateId)
+    });
+
+  } catch (error) {
+    console.error('List template shares error:', error);
+    res.status(500).json({ error: 'Failed to list template shares' });
+  }
+});
+
+// Share a template read-only with another workspace
+app.post('/api/template/:templateId/shares', Permissions.require('templates:share'), (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { workspaceId } = req.body;
+
+    if (!workspaceId) {
+      return res.status(400).json({ error: 'Workspace ID is required' });
+    }
+
+    const template = getAccessibleTemplate(req, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
+    if (workspaceId === template.workspaceId) {
+      return res.status(400).json({ error: 'A template cannot be shared with its own workspace' });
+    }
+
+    if (!metadataStore.getWorkspace(workspaceId)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    metadataStore.shareTemplate(templateId, workspaceId);
+    recordAudit(req, 'template.share', { templateId: templateId, details: { sharedWith: workspaceId } });
+
+    res.status(201).json({
+      success: true,
+      shares: metadataStore.listTemplateShares(templateId)
+    });
+
+  } catch (error) {
+    console.error('Share template error:', error);
+    res.status(500).json({ error: 'Failed to share template' });
+  }
+});
+
+// Stop sharing a template with a workspace
+app.delete('/api/template/:templateId/shares/:workspaceId', Permissions.require('templates:share'), (req, res) => {
+  try {
+    const { templateId, workspaceId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
+
+    if (!metadataStore.unshareTemplate(templateId, workspaceId)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    recordAudit(req, 'template.unshare', { templateId: templateId, details: { sharedWith: workspaceId } });
+
+    res.json({
+      success: true,
+      shares: metadataStore.listTemplateShares(templateId)
+    });
+
+  } catch (error) {
+    console.error('Unshare template error:', error);
+    res.status(500).json({ error: 'Failed to stop sharing template' });
+  }
+});
+
+// Step 3 & 4: Generate document with user values
+app.post('/api/generate-document', Permissions.require('documents:generate'), async (req, res) => {
+  try {
+    const { templateId, variables, format = 'docx', version } = req.body;
+
+    if (!templateId || !variables) {
+      return res.status(400).json({ error: 'Template ID and variables are required' });
+    }
+
+    const template = getAccessibleTemplate(req, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const templateVersion = getTemplateVersion(template, version);
+    if (!templateVersion) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    if (!DocumentGenerator.isSupportedFormat(format)) {
+      return res.status(400).json({ error: 'Unsupported format. Use "docx" or "pdf"' });
+    }
+
+    const { values, errors } = VariableValidator.validate(template.schema, variables);
+    const images = await loadImageValues(req, templateVersion.structure, values);
+    if (errors.length > 0 || images.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fieldErrors: [...errors, ...images.errors] });
+    }
+
+    // Every generation gets its own output ID so concurrent requests never share files
+    const documentId = uuidv4();
+    const templatePath = await fileStorage.getLocalPath(templateVersion.originalFile);
+    const { fileName } = await DocumentGenerator.generate(templatePath, images.values, format, tempDir, documentId);
+    await storeOutput(fileName);
+    const storedValues = TemplateImages.withoutData(values);
+
+    const record = recordGeneratedDocument({
+      id: documentId,
+      type: 'document',
+      workspaceId: req.workspace.id,
+      ownerId: req.user.id,
+      templateId: templateId,
+      templateName: template.name || '',
+      templateVersion: templateVersion.version,
+      format: format,
+      fileName: fileName,
+      variables: storedValues
+    });
+    recordAudit(req, 'document.generate', {
+      templateId: templateId,
+      documentId: documentId,
+      details: { version: templateVersion.version, format: format, fileName: fileName, variables: storedValues }
+    });
+    console.log('Download URL created:', record.downloadUrl);
+
+    res.json({
+      success: true,
+      documentId: documentId,
+      downloadUrl: getDownloadUrl(req, fileName),
+      fileName: fileName,
+      message: `Document generated successfully in ${format.toUpperCase()} format.`
+    });
+
+  } catch (error) {
+    console.error('Generate document error:', error);
+    res.status(500).json({ error: 'Failed to generate document' });
+  }
+});
+
+// Generate one document per row (JSON rows or CSV upload) and return a ZIP
+app.post('/api/generate-batch', Permissions.require('documents:generate'), uploadCsv.single('file'), async (req, res) => {
+  try {
+    const { templateId, format = 'docx', version } = req.body;
+
+    if (!templateId) {
+      return res.status(400).json({ error: 'Template ID is required' });
+    }
+
+    const template = getAccessibleTemplate(req, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const templateVersion = getTemplateVersion(template, version);
+    if (!templateVersion) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    if (!DocumentGenerator.isSupportedFormat(format)) {
+      return res.status(400).json({ error: 'Unsupported format. Use "docx" or "pdf"' });
+    }
+
+    // Rows come either from an uploaded CSV or from a JSON array
+    let rows;
+    let unmatchedColumns = [];
+    if (req.file) {
+      let parsed;
+      try {
+        parsed = CsvParser.parse(req.file.buffer.toString('utf8'));
+      } catch (parseErr) {
+        return res.status(400).json({ error: parseErr.message });
+      }
+
+      // Map CSV headers onto template variables, ignoring case and surrounding spaces
+      const normalize = (name) => name.trim().toLowerCase();
+      const variableByHeader = {};
+      parsed.headers.forEach(header => {
+        const match = templateVersion.variables.find(v => normalize(v) === normalize(header));
+        if (match) {
+          variableByHeader[header] = match;
+        } else {
+          unmatchedColumns.push(header);
+        }
+      });
+
+      rows = parsed.rows.map(row => {
+        const variables = {};
+        Object.keys(variableByHeader).forEach(header => {
+          variables[variableByHeader[header]] = row[header];
+        });
+        return variables;
+      });
+    } else {
+      rows = req.body.rows;
+      if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        return res.status(400).json({ error: 'Provide a CSV file or a rows array of variable objects' });
+      }
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No rows to generate' });
+    }
+
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({ error: `Too many rows. A batch may contain at most ${MAX_BATCH_ROWS} rows` });
+    }
+
+    if (format === 'pdf' && rows.length > MAX_PDF_BATCH_ROWS) {
+      return res.status(400).json({
+        error: `Too many rows for PDF. A PDF batch may contain at most ${MAX_PDF_BATCH_ROWS} rows; split it or submit generation jobs`
+      });
+    }
+
+    const batchId = uuidv4();
+    console.log(`Starting batch ${batchId}: ${rows.length} ${format.toUpperCase()} documents from template ${templateId}`);
+
+    // Load each uploaded image once for the whole batch; rows with a bad image fail on their own
+    const imageCache = new Map();
+    const rowImages = [];
+    for (const row of rows) {
+      rowImages.push(await loadImageValues(req, templateVersion.structure, row, imageCache));
+    }
+
+    const { zipFileName, results } = await DocumentGenerator.generateBatch(
+      await fileStorage.getLocalPath(templateVersion.originalFile),
+      rows,
+      format,
+      tempDir,
+      batchId,
+      {
+        entryBaseName: template.name || 'document',
+        validateRow: (row, index) => {
+          const { values, errors } = VariableValidator.validate(template.schema, rowImages[index].values);
+          return { values, errors: [...errors, ...rowImages[index].errors] };
+        }
+      }
+    );
+
+    const succeeded = results.filter(r => r.success).length;
+    const failed = results.length - succeeded;
+    await storeOutput(zipFileName);
+
+    if (succeeded > 0) {
+      recordGeneratedDocument({
+        id: batchId,
+        type: 'batch',
+        workspaceId: req.workspace.id,
+        ownerId: req.user.id,
+        templateId: templateId,
+        templateName: template.name || '',
+        templateVersion: templateVersion.version,
+        format: format,
+        fileName: zipFileName,
+        variables: TemplateImages.withoutData(rows)
+      });
+    }
+
+    recordAudit(req, 'document.batch', {
+      templateId: templateId,
+      documentId: succeeded > 0 ? batchId : null,
+      details: {
+        version: templateVersion.version,
+        format: format,
+        fileName: zipFileName,
+        succeeded: succeeded,
+        failed: failed,
+        rows: TemplateImages.withoutData(rows)
+      }
+    });
+
+    if (succeeded === 0) {
+      return res.status(422).json({
+        error: 'No documents could be generated',
+        batchId: batchId,
+        results: results
+      });
+    }
+
+    res.json({
+      success: true,
+      batchId: batchId,
+      downloadUrl: getDownloadUrl(req, zipFileName),
+      fileName: zipFileName,
+      total: results.length,
+      succeeded: succeeded,
+      failed: failed,
+      unmatchedColumns: unmatchedColumns,
+      results: results,
+      message: `Generated ${succeeded} of ${results.length} documents in ${format.toUpperCase()} format.`
+    });
+
+  } catch (error) {
+    console.error('Generate batch error:', error);
+    res.status(500).json({ error: 'Failed to generate batch' });
+  }
+});
+
+// Get the record of a generated document
+app.get('/api/documents/:documentId', Permissions.require('documents:read'), (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const record = metadataStore.getGeneratedDocument(documentId);
+
+    if (!record || !Workspaces.canAccess(req, record)) {
+      return res.status(404).json({ error: 'Generated document not found' });
+    }
+
+    res.json({
+      success: true,
+      document: toGeneratedDocumentResponse(record, req)
+    });
+
+  } catch (error) {
+    console.error('Get generated document error:', error);
+    res.status(500).json({ error: 'Failed to get generated document' });
+  }
+});
+
+// Find the stored PDF of a generated document: { key }, or { status, error } to respond with
+async function getGeneratedPdfKey(req, documentId) {
+  const record = metadataStore.getGeneratedDocument(documentId);
+  if (!record || !Workspaces.canAccess(req, record)) {
+    return { status: 404, error: 'Generated document not found' };
+  }
+  if (record.format !== 'pdf' || path.extname(record.fileName).toLowerCase() !== '.pdf') {
+    return { status: 400, error: 'Thumbnails are only available for PDF documents' };
+  }
+  const key = Storage.outputKey(record.fileName);
+  if (!(await fileStorage.exists(key))) {
+    return { status: 404, error: 'File not found' };
+  }
+  return { key };
+}
+
+// List page thumbnails of a generated PDF
+app.get('/api/documents/:documentId/thumbnails', Permissions.require('documents:read'), async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { key, status, error } = await getGeneratedPdfKey(req, documentId);
+    if (!key) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      success: true,
+      documentId: documentId,
+      ...(await getThumbnailList(key, `/api/documents/${documentId}/thumbnails`))
+    });
+
+  } catch (error) {
+    console.error('Get document thumbnails error:', error);
+    res.status(error.status === 503 ? 503 : 500).json({ error: error.status === 503 ? error.message : 'Failed to get thumbnails' });
+  }
+});
+
+// Get the PNG thumbnail of one page of a generated PDF
+app.get('/api/documents/:documentId/thumbnails/:page', Permissions.require('documents:read'), async (req, res) => {
+  try {
+    const { key, status, error } = await getGeneratedPdfKey(req, req.params.documentId);
+    if (!key) {
+      return res.status(status).json({ error });
+    }
+
+    await sendThumbnail(res, key, Number(req.params.page));
+
+  } catch (error) {
+    console.error('Get document thumbnail error:', error);
+    res.status(error.status === 503 ? 503 : 500).json({ error: error.status === 503 ? error.message : 'Failed to get thumbnail' });
+  }
+});
+
+// List generated documents, optionally filtered by template
+app.get('/api/documents', Permissions.require('documents:read'), (req, res) => {
+  try {
+    const { templateId } = req.query;
+    const documentsList = metadataStore.listGeneratedDocuments({ templateId, workspaceId: Workspaces.filter(req) })
+      .map(record => toGeneratedDocumentResponse(record, req));
+
+    res.json({
+      success: true,
+      documents: documentsList
+    });
+
+  } catch (error) {
+    console.error('List generated documents error:', error);
+    res.status(500).json({ error: 'Failed to list generated documents' });
+  }
+});
+
+// Create a signed download link for a generated or converted file
+app.post('/api/download-links', Permissions.require('documents:read'), (req, res) => {
+  try {
+    const { fileName, expiresIn, singleUse = false } = req.body;
+
+    if (!Storage.isValidFileName(fileName)) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+
+    if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+      return res.status(400).json({ error: 'expiresIn must be a positive number of seconds' });
+    }
+
+    if (!Workspaces.canAccess(req, { workspaceId: getOutputWorkspaceId(fileName) })) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const link = downloadLinks.sign(fileName, {
+      userId: req.user.id,
+      expiresIn: expiresIn,
+      singleUse: Boolean(singleUse)
+    });
+
+    res.status(201).json({
+      success: true,
+      downloadUrl: link.url,
+      expiresAt: link.expiresAt,
+      singleUse: link.singleUse
+    });
+
+  } catch (error) {
+    console.error('Create download link error:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
+// Step 5: Download generated file through a signed link
+app.get('/api/download/:fileName', async (req, res) => {
+  try {
+    const { fileName } = req.params;
+
+    // Express has already decoded the name, so "..%2F" arrives as "../"
+    if (!Storage.isValidFileName(fileName)) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+
+    const link = downloadLinks.verify(fileName, req.query);
+    if (!link.valid) {
+      return res.status(link.status).json({ error: link.error });
+    }
+
+    const fileKey = Storage.outputKey(fileName);
+    const workspaceId = getOutputWorkspaceId(fileName);
+    
+    console.log('Download request for file:', fileName);
+    console.log('Storage key:', fileKey);
+
+    if (!(await fileStorage.exists(fileKey))) {
+      console.error('File not found:', fileKey);
+      return res.status(404).json({ error: 'File not found' });
+    }
 
     // Get file stats
-    const stats = fs.statSync(filePath);
+    const stats = await fileStorage.stat(fileKey);
     console.log('File exists, size:', stats.size);
     
     if (stats.size === 0) {
-      console.error('File is empty:', filePath);
+      console.error('File is empty:', fileKey);
       return res.status(500).json({ error: 'File is empty' });
     }
 
+    // A single-use link is spent once the file is found, before any bytes are sent
+    if (link.nonce && !metadataStore.useDownloadLink(link.nonce, fileName, link.expiresAt)) {
+      return res.status(410).json({ error: 'This download link has already been used' });
+    }
+
     // Set proper headers for file download
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
@@ -352,6 +1612,8 @@ app.get('/api/download/:fileName', (req, res) => {
       res.setHeader('Content-Type', 'application/pdf');
     } else if (ext === '.docx') {
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    } else if (ext === '.zip') {
+      res.setHeader('Content-Type', 'application/zip');
     } else {
       res.setHeader('Content-Type', 'application/octet-stream');
     }
@@ -359,8 +1621,19 @@ app.get('/api/download/:fileName', (req, res) => {
     console.log('Content-Type set to:', res.getHeader('Content-Type'));
 
     // Stream the file
-    const fileStream = fs.createReadStream(filePath);
+    const fileStream = await fileStorage.createReadStream(fileKey);
     fileStream.pipe(res);
+
+    // converted-<id>.docx comes from a PDF (direct conversion) or a conversion job
+    const record = metadataStore.findGeneratedDocumentByFileName(fileName);
+    const converted = fileName.match(/^converted-(.+)\.docx$/);
+    const conversionJob = converted ? jobQueue.get(converted[1]) : null;
+    recordAudit(getAuditRequest(link.userId, workspaceId), 'document.download', {
+      templateId: record ? record.templateId : null,
+      documentId: record ? record.id : null,
+      pdfId: conversionJob ? conversionJob.payload.fileId : (converted ? converted[1] : null),
+      details: { fileName: fileName, singleUse: Boolean(link.nonce) }
+    });
     
     // Handle stream errors
     fileStream.on('error', (err) => {
@@ -370,18 +1643,9 @@ app.get('/api/download/:fileName', (req, res) => {
       }
     });
     
-    // Log when download starts
-    fileStream.on('open', () => {
-      console.log('File stream opened successfully');
-    });
-    
     // Log when download ends
     res.on('finish', () => {
       console.log('Download completed for:', fileName);
-      // Don't clean up immediately - let files stay for debugging
-      // setTimeout(() => {
-      //   fs.remove(filePath).catch(console.error);
-      // }, 10000); // Increased delay to ensure download completes
     });
 
   } catch (error) {
@@ -392,13 +1656,82 @@ app.get('/api/download/:fileName', (req, res) => {
   }
 });
 
+// Query the audit log, as JSON or as a CSV export (?format=csv)
+app.get('/api/audit', Permissions.require('audit:read'), (req, res) => {
+  try {
+    const { templateId, pdfId, userId, action, format = 'json' } = req.query;
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Unknown action "${action}". Use one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Unsupported format. Use "json" or "csv"' });
+    }
+
+    // Dates may be full timestamps or plain days; a plain "to" day includes the whole day
+    const parseDate = (value, endOfDay) => {
+      if (!value) return undefined;
+      const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+      const date = new Date(isDay && endOfDay ? `${value}T23:59:59.999Z` : value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    };
+    const from = parseDate(req.query.from, false);
+    const to = parseDate(req.query.to, true);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'Invalid date. Use ISO 8601, e.g. 2024-05-01 or 2024-05-01T12:00:00Z' });
+    }
+
+    // CSV exports every matching event; JSON is paged
+    const limit = format === 'csv' ? undefined : Math.min(parseInt(req.query.limit, 10) || 100, MAX_AUDIT_PAGE_SIZE);
+    const offset = format === 'csv' ? undefined : Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { events, total } = metadataStore.listAuditEvents({
+      workspaceId: Workspaces.filter(req),
+      templateId,
+      pdfId,
+      userId,
+      action,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    if (format === 'csv') {
+      const headers = ['createdAt', 'action', 'userId', 'userName', 'workspaceId', 'templateId', 'pdfId', 'documentId', 'details'];
+      const rows = events.map(event => ({ ...event, details: JSON.stringify(event.details) }));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+      return res.send(CsvParser.stringify(headers, rows));
+    }
+
+    res.json({
+      success: true,
+      total: total,
+      limit: limit,
+      offset: offset,
+      events: events
+    });
+
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
 // List all templates
-app.get('/api/templates', (req, res) => {
+app.get('/api/templates', Permissions.require('templates:read'), (req, res) => {
   try {
-    const templatesList = Array.from(templates.values()).map(template => ({
+    const templatesList = metadataStore.listTemplates({ workspaceId: Workspaces.filter(req) }).map(template => ({
       id: template.id,
       name: template.name || '',
+      workspaceId: template.workspaceId,
+      shared: Boolean(template.shared),
+      ownerId: template.ownerId,
       variables: template.variables,
+      version: template.version,
       createdAt: template.createdAt
     }));
 
@@ -414,23 +1747,29 @@ app.get('/api/templates', (req, res) => {
 });
 
 // Delete template
-app.delete('/api/template/:templateId', async (req, res) => {
+app.delete('/api/template/:templateId', Permissions.require('templates:delete'), async (req, res) => {
   try {
     const { templateId } = req.params;
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
 
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Remove original file
-    await fs.remove(template.originalFile);
-    
-    // Remove from memory
-    templates.delete(templateId);
+    if (template.readOnly) {
+      return res.status(403).json({ error: 'This template is shared read-only with this workspace' });
+    }
 
-    // persist to disk
-    saveTemplatesToDisk();
+    // Remove the files of every version
+    for (const entry of template.versions) {
+      await fileStorage.remove(entry.originalFile);
+      if (entry.sourceFile) {
+        await fileStorage.remove(entry.sourceFile);
+      }
+    }
+    
+    metadataStore.deleteTemplate(templateId);
+    recordAudit(req, 'template.delete', { templateId: templateId, details: { name: template.name || '' } });
 
     res.json({
       success: true,
@@ -444,16 +1783,16 @@ app.delete('/api/template/:templateId', async (req, res) => {
 });
 
 // Get template statistics
-app.get('/api/template/:templateId/stats', async (req, res) => {
+app.get('/api/template/:templateId/stats', Permissions.require('templates:read'), async (req, res) => {
   try {
     const { templateId } = req.params;
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
 
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    const stats = await DocxProcessor.getFileStats(template.originalFile);
+    const stats = await DocxProcessor.getFileStats(await fileStorage.getLocalPath(template.originalFile));
 
     res.json({
       success: true,
@@ -471,16 +1810,17 @@ app.get('/api/template/:templateId/stats', async (req, res) => {
 });
 
 // Preview template content
-app.get('/api/template/:templateId/preview', async (req, res) => {
+app.get('/api/template/:templateId/preview', Permissions.require('templates:read'), async (req, res) => {
   try {
     const { templateId } = req.params;
-    const template = templates.get(templateId);
+    const template = getAccessibleTemplate(req, templateId);
 
     if (!template) {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    const { text } = await DocxProcessor.extractTextAndVariables(template.originalFile);
+    const { text } = await DocxProcessor.extractTextAndVariables(await fileStorage.getLocalPath(template.originalFile));
+    recordAudit(req, 'template.view', { templateId: template.id, details: { preview: true } });
 
     res.json({
       success: true,
@@ -494,8 +1834,138 @@ app.get('/api/template/:templateId/preview', async (req, res) => {
   }
 });
 
+// Fill a template in memory and return it as HTML with filled and unfilled tags highlighted
+app.post('/api/template/:templateId/render-preview', Permissions.require('templates:read'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { variables = {}, version } = req.body || {};
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({ error: 'Invalid variables object' });
+    }
+
+    const templateVersion = getTemplateVersion(template, version);
+    if (!templateVersion) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    // Schema defaults apply as they would on generation; invalid values are reported, not refused
+    const { values, errors } = VariableValidator.validate(template.schema, variables);
+    const images = await loadImageValues(req, templateVersion.structure, values);
+    // A broken image would stop the whole preview; leave it out and report it instead
+    images.errors.forEach(error => {
+      delete images.values[error.field];
+    });
+    const templatePath = await fileStorage.getLocalPath(templateVersion.originalFile);
+    const { html, filled, unfilled, messages } = await TemplatePreview.render(templatePath, images.values);
+    recordAudit(req, 'template.view', { templateId: template.id, details: { renderPreview: true, version: templateVersion.version } });
+
+    res.json({
+      success: true,
+      templateId: template.id,
+      version: templateVersion.version,
+      html,
+      filled,
+      unfilled,
+      fieldErrors: [...errors, ...images.errors],
+      messages
+    });
+
+  } catch (error) {
+    console.error('Render preview error:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
+// Check a template for problems before anyone generates from it
+app.get('/api/template/:templateId/lint', Permissions.require('templates:read'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const entry = getTemplateVersion(template, req.query.version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    // Saved values and the schema belong to the current version only
+    const current = entry.version === template.version;
+    const { variables, issues, summary } = await TemplateLinter.lint(await fileStorage.getLocalPath(entry.originalFile), {
+      variables: entry.variables,
+      savedValues: current ? template.savedValues : {},
+      schema: current ? template.schema : {}
+    });
+    recordAudit(req, 'template.view', { templateId: template.id, details: { lint: true, version: entry.version } });
+
+    res.json({
+      success: true,
+      templateId: template.id,
+      version: entry.version,
+      valid: summary.errors === 0,
+      summary,
+      variables,
+      issues
+    });
+
+  } catch (error) {
+    console.error('Lint template error:', error);
+    res.status(500).json({ error: 'Failed to lint template' });
+  }
+});
+
+// Download the original .doc/.odt/.rtf file a template version was converted from
+app.get('/api/template/:templateId/source', Permissions.require('templates:read'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const template = getAccessibleTemplate(req, templateId);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const entry = getTemplateVersion(template, req.query.version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+    if (!entry.sourceFile) {
+      return res.status(404).json({ error: `Version ${entry.version} was uploaded as DOCX; there is no original to download` });
+    }
+    if (!(await fileStorage.exists(entry.sourceFile))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const format = getSourceFormat(entry);
+    const fileName = FileValidator.sanitizeFileName(`${template.name || 'template'}.${format}`);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.setHeader('Content-Type', TEMPLATE_TYPES[`.${format}`][0]);
+    recordAudit(req, 'template.view', { templateId: template.id, details: { source: true, version: entry.version } });
+
+    const fileStream = await fileStorage.createReadStream(entry.sourceFile);
+    fileStream.on('error', (err) => {
+      console.error('File stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to stream file' });
+      }
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error('Download template source error:', error);
+    res.status(500).json({ error: 'Failed to download template source' });
+  }
+});
+
 // Test download endpoint
-app.get('/api/test-download', (req, res) => {
+app.get('/api/test-download', Auth.requireAdmin, (req, res) => {
   try {
     const testContent = 'This is a test file for download functionality.';
     const testFileName = 'test-file.txt';
@@ -528,7 +1998,7 @@ app.get('/api/test-download', (req, res) => {
 });
 
 // Test DOCX generation endpoint
-app.get('/api/test-docx', async (req, res) => {
+app.get('/api/test-docx', Auth.requireAdmin, async (req, res) => {
   try {
     const testContent = 'This is a test DOCX file.\n\nIt contains multiple lines.\n\nGenerated for testing purposes.';
     const testFileName = 'test-document.docx';
@@ -570,7 +2040,8 @@ app.get('/api/health', async (req, res) => {
     res.json({
       status: 'OK',
       timestamp: new Date().toISOString(),
-      templatesCount: templates.size,
+      templatesCount: metadataStore.countTemplates(),
+      storage: fileStorage.name,
       libreOfficeAvailable: libreOfficeAvailable,
       pdfConversion: libreOfficeAvailable ? 'High fidelity (LibreOffice)' : 'Limited fidelity (HTML fallback)',
       recommendations: libreOfficeAvailable ? [] : [
@@ -582,7 +2053,7 @@ app.get('/api/health', async (req, res) => {
     res.json({
       status: 'OK',
       timestamp: new Date().toISOString(),
-      templatesCount: templates.size,
+      templatesCount: metadataStore.countTemplates(),
       libreOfficeAvailable: false,
       pdfConversion: 'Limited fidelity (HTML fallback)',
       recommendations: [
@@ -594,8 +2065,58 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Disk usage per retention class and what the sweeper has reclaimed (admin only)
+app.get('/api/admin/retention', Auth.requireAdmin, async (req, res) => {
+  try {
+    const usage = await retentionSweeper.usage();
+
+    // Free space on the volume holding uploads/ and temp/ (the local cache when using S3)
+    let disk = null;
+    try {
+      const stats = await fs.statfs(__dirname);
+      disk = { totalBytes: stats.blocks * stats.bsize, freeBytes: stats.bavail * stats.bsize };
+    } catch (err) {
+      console.error('Failed to read disk space:', err.message);
+    }
+
+    res.json({
+      success: true,
+      storage: fileStorage.name,
+      disk: disk,
+      usage: usage,
+      sweepInterval: retentionSweeper.intervalMs / 1000,
+      nextSweepAt: retentionSweeper.nextSweepAt,
+      lastSweep: retentionSweeper.lastSweep,
+      reclaimed: {
+        since: retentionSweeper.startedAt,
+        byClass: retentionSweeper.reclaimed
+      }
+    });
+
+  } catch (error) {
+    console.error('Retention usage error:', error);
+    res.status(500).json({ error: 'Failed to read disk usage' });
+  }
+});
+
+// Run a retention sweep now (admin only)
+app.post('/api/admin/retention/sweep', Auth.requireAdmin, async (req, res) => {
+  try {
+    const sweep = await retentionSweeper.sweep();
+
+    res.json({
+      success: true,
+      sweep: sweep
+    });
+
+  } catch (error) {
+    console.error('Retention sweep error:', error);
+    res.status(500).json({ error: 'Failed to run retention sweep' });
+  }
+});
+
 // Debug endpoint to list temp files
-app.get('/api/debug/files', (req, res) => {
+app.get('/api/debug/files', Auth.requireAdmin, (req, res) => {
   try {
     const files = fs.readdirSync(tempDir);
     const fileStats = files.map(file => {
@@ -623,23 +2144,26 @@ app.get('/api/debug/files', (req, res) => {
 // PDF to Word Conversion Endpoints
 
 // Upload PDF file for conversion
-app.post('/api/upload-pdf', uploadPdf.single('file'), async (req, res) => {
+app.post('/api/upload-pdf', Permissions.require('pdfs:write'), uploadPdf.single('file'), validateUpload('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
+    const fileKey = await fileStorage.put(Storage.uploadKey(req.file.filename), req.file.path);
     const fileId = uuidv4();
     const originalName = req.file.originalname;
 
     // Store file information
-    uploadedPdfs.set(fileId, {
+    metadataStore.savePdf({
       id: fileId,
-      originalFile: filePath,
+      workspaceId: req.workspace.id,
+      ownerId: req.user.id,
+      originalFile: fileKey,
       originalName: originalName,
       createdAt: new Date().toISOString()
     });
+    recordAudit(req, 'pdf.upload', { pdfId: fileId, details: { fileName: originalName } });
 
     res.json({
       success: true,
@@ -655,7 +2179,7 @@ app.post('/api/upload-pdf', uploadPdf.single('file'), async (req, res) => {
 });
 
 // Convert PDF to Word
-app.post('/api/convert-pdf-to-word', async (req, res) => {
+app.post('/api/convert-pdf-to-word', Permissions.require('pdfs:convert'), async (req, res) => {
   try {
     const { fileId } = req.body;
 
@@ -663,7 +2187,7 @@ app.post('/api/convert-pdf-to-word', async (req, res) => {
       return res.status(400).json({ error: 'File ID is required' });
     }
 
-    const pdfFile = uploadedPdfs.get(fileId);
+    const pdfFile = getAccessiblePdf(req, fileId);
     if (!pdfFile) {
       return res.status(404).json({ error: 'PDF file not found' });
     }
@@ -675,7 +2199,7 @@ app.post('/api/convert-pdf-to-word', async (req, res) => {
     console.log('Converting PDF to Word:', pdfFile.originalFile, '->', outputPath);
 
     // Use the advanced PDF to Word converter for maximum formatting preservation
-    await AdvancedPdfToWordConverter.convertPdfToWord(pdfFile.originalFile, outputPath);
+    await AdvancedPdfToWordConverter.convertPdfToWord(await fileStorage.getLocalPath(pdfFile.originalFile), outputPath);
 
     // Verify file was created
     if (!fs.existsSync(outputPath)) {
@@ -688,9 +2212,11 @@ app.post('/api/convert-pdf-to-word', async (req, res) => {
     if (stats.size === 0) {
       throw new Error('Converted file is empty');
     }
+    await storeOutput(outputFileName);
+    recordAudit(req, 'pdf.convert', { pdfId: fileId, details: { fileName: outputFileName } });
 
     // Create download URL
-    const downloadUrl = `/api/download/${outputFileName}`;
+    const downloadUrl = getDownloadUrl(req, outputFileName);
     console.log('Download URL created:', downloadUrl);
 
     res.json({
@@ -707,14 +2233,15 @@ app.post('/api/convert-pdf-to-word', async (req, res) => {
 });
 
 // Get uploaded PDF file info
-app.get('/api/pdf/:fileId', (req, res) => {
+app.get('/api/pdf/:fileId', Permissions.require('pdfs:read'), (req, res) => {
   try {
     const { fileId } = req.params;
-    const pdfFile = uploadedPdfs.get(fileId);
+    const pdfFile = getAccessiblePdf(req, fileId);
 
     if (!pdfFile) {
       return res.status(404).json({ error: 'PDF file not found' });
     }
+    recordAudit(req, 'pdf.view', { pdfId: pdfFile.id, workspaceId: pdfFile.workspaceId });
 
     res.json({
       success: true,
@@ -731,11 +2258,55 @@ app.get('/api/pdf/:fileId', (req, res) => {
   }
 });
 
+// List page thumbnails of an uploaded PDF
+app.get('/api/pdf/:fileId/thumbnails', Permissions.require('pdfs:read'), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const pdfFile = getAccessiblePdf(req, fileId);
+
+    if (!pdfFile) {
+      return res.status(404).json({ error: 'PDF file not found' });
+    }
+
+    const thumbnails = await getThumbnailList(pdfFile.originalFile, `/api/pdf/${pdfFile.id}/thumbnails`);
+    recordAudit(req, 'pdf.view', { pdfId: pdfFile.id, workspaceId: pdfFile.workspaceId, details: { thumbnails: true } });
+
+    res.json({
+      success: true,
+      fileId: pdfFile.id,
+      ...thumbnails
+    });
+
+  } catch (error) {
+    console.error('Get PDF thumbnails error:', error);
+    res.status(error.status === 503 ? 503 : 500).json({ error: error.status === 503 ? error.message : 'Failed to get thumbnails' });
+  }
+});
+
+// Get the PNG thumbnail of one page of an uploaded PDF
+app.get('/api/pdf/:fileId/thumbnails/:page', Permissions.require('pdfs:read'), async (req, res) => {
+  try {
+    const pdfFile = getAccessiblePdf(req, req.params.fileId);
+
+    if (!pdfFile) {
+      return res.status(404).json({ error: 'PDF file not found' });
+    }
+
+    await sendThumbnail(res, pdfFile.originalFile, Number(req.params.page));
+
+  } catch (error) {
+    console.error('Get PDF thumbnail error:', error);
+    res.status(error.status === 503 ? 503 : 500).json({ error: error.status === 503 ? error.message : 'Failed to get thumbnail' });
+  }
+});
+
 // List uploaded PDF files
-app.get('/api/pdfs', (req, res) => {
+app.get('/api/pdfs', Permissions.require('pdfs:read'), (req, res) => {
   try {
-    const pdfsList = Array.from(uploadedPdfs.values()).map(pdf => ({
+    const pdfsList = metadataStore.listPdfs({ workspaceId: Workspaces.filter(req) }).map(pdf => ({
       id: pdf.id,
+      workspaceId: pdf.workspaceId,
+      ownerId: pdf.ownerId,
       originalName: pdf.originalName,
       createdAt: pdf.createdAt
     }));
@@ -752,20 +2323,21 @@ app.get('/api/pdfs', (req, res) => {
 });
 
 // Delete uploaded PDF file
-app.delete('/api/pdf/:fileId', async (req, res) => {
+app.delete('/api/pdf/:fileId', Permissions.require('pdfs:delete'), async (req, res) => {
   try {
     const { fileId } = req.params;
-    const pdfFile = uploadedPdfs.get(fileId);
+    const pdfFile = getAccessiblePdf(req, fileId);
 
     if (!pdfFile) {
       return res.status(404).json({ error: 'PDF file not found' });
     }
 
-    // Remove original file
-    await fs.remove(pdfFile.originalFile);
+    // Remove original file and its cached thumbnails
+    await fileStorage.remove(pdfFile.originalFile);
+    await pdfThumbnails.remove(pdfFile.originalFile);
     
-    // Remove from memory
-    uploadedPdfs.delete(fileId);
+    metadataStore.deletePdf(fileId);
+    recordAudit(req, 'pdf.delete', { pdfId: fileId, details: { fileName: pdfFile.originalName } });
 
     res.json({
       success: true,
@@ -778,14 +2350,365 @@ app.delete('/api/pdf/:fileId', async (req, res) => {
   }
 });
 
+// Image Endpoints
+
+function toImageResponse(image) {
+  return {
+    id: image.id,
+    workspaceId: image.workspaceId,
+    ownerId: image.ownerId,
+    originalName: image.originalName,
+    contentType: image.contentType,
+    width: image.width,
+    height: image.height,
+    createdAt: image.createdAt
+  };
+}
+
+// Upload an image for image tags; variables refer to it as { "imageId": "..." }
+app.post('/api/upload-image', Permissions.require('images:write'), uploadImage.single('file'), validateUpload('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const fileKey = await fileStorage.put(Storage.uploadKey(req.file.filename), req.file.path);
+    const image = metadataStore.saveImage({
+      id: uuidv4(),
+      workspaceId: req.workspace.id,
+      ownerId: req.user.id,
+      originalFile: fileKey,
+      originalName: req.file.originalname,
+      contentType: TemplateImages.contentTypes[req.file.format],
+      width: req.file.width,
+      height: req.file.height,
+      createdAt: new Date().toISOString()
+    });
+    recordAudit(req, 'image.upload', { details: { imageId: image.id, fileName: image.originalName } });
+
+    res.json({
+      success: true,
+      imageId: image.id,
+      image: toImageResponse(image),
+      message: 'Image uploaded successfully.'
+    });
+
+  } catch (error) {
+    console.error('Image upload error:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// List uploaded images
+app.get('/api/images', Permissions.require('images:read'), (req, res) => {
+  try {
+    const images = metadataStore.listImages({ workspaceId: Workspaces.filter(req) }).map(toImageResponse);
+
+    res.json({
+      success: true,
+      images: images
+    });
+
+  } catch (error) {
+    console.error('List images error:', error);
+    res.status(500).json({ error: 'Failed to list images' });
+  }
+});
+
+// Get the content of an uploaded image
+app.get('/api/image/:imageId', Permissions.require('images:read'), async (req, res) => {
+  try {
+    const image = getAccessibleImage(req, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    const fileStream = await fileStorage.createReadStream(image.originalFile);
+    fileStream.on('error', (err) => {
+      console.error('Image stream error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to stream image' });
+      }
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+// Delete an uploaded image; documents already generated with it keep their copy
+app.delete('/api/image/:imageId', Permissions.require('images:delete'), async (req, res) => {
+  try {
+    const image = getAccessibleImage(req, req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await fileStorage.remove(image.originalFile);
+    metadataStore.deleteImage(image.id);
+    recordAudit(req, 'image.delete', { details: { imageId: image.id, fileName: image.originalName } });
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete image error:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+// Background Job Endpoints
+
+// Long-running conversions run through a queue so requests return immediately
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+});
+
+jobQueue.registerHandler('generate-document', async (payload, { job, signal, setMethod }) => {
+  const { templateId, variables, format, version } = payload;
+  const template = metadataStore.getTemplate(templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  const templateVersion = getTemplateVersion(template, version);
+  if (!templateVersion) {
+    throw new Error('Template version not found');
+  }
+
+  // The image was checked when the job was submitted, but may have been deleted since
+  const images = await loadImageValues(getAuditRequest(payload.ownerId, payload.workspaceId), templateVersion.structure, variables);
+  if (images.errors.length > 0) {
+    throw new Error(images.errors.map(error => `${error.field}: ${error.message}`).join('; '));
+  }
+
+  setMethod('docxtemplater');
+  const templatePath = await fileStorage.getLocalPath(templateVersion.originalFile);
+  const storedValues = TemplateImages.withoutData(variables);
+  const { fileName } = await DocumentGenerator.generate(templatePath, images.values, format, tempDir, job.id, {
+    signal,
+    onMethod: setMethod
+  });
+  await storeOutput(fileName);
+
+  const record = recordGeneratedDocument({
+    id: job.id,
+    type: 'document',
+    workspaceId: payload.workspaceId,
+    ownerId: payload.ownerId,
+    templateId: templateId,
+    templateName: template.name || '',
+    templateVersion: templateVersion.version,
+    format: format,
+    fileName: fileName,
+    variables: storedValues
+  });
+  recordAudit(getAuditRequest(payload.ownerId, payload.workspaceId), 'document.generate', {
+    templateId: templateId,
+    documentId: record.id,
+    details: { version: templateVersion.version, format: format, fileName: fileName, variables: storedValues, jobId: job.id }
+  });
+
+  return { documentId: record.id, fileName: fileName, downloadUrl: record.downloadUrl };
+});
+
+jobQueue.registerHandler('convert-pdf-to-word', async (payload, { job, signal, setMethod }) => {
+  const pdfFile = metadataStore.getPdf(payload.fileId);
+  if (!pdfFile) {
+    throw new Error('PDF file not found');
+  }
+
+  const outputFileName = `converted-${job.id}.docx`;
+  const outputPath = path.join(tempDir, outputFileName);
+  await AdvancedPdfToWordConverter.convertPdfToWord(await fileStorage.getLocalPath(pdfFile.originalFile), outputPath, {
+    signal,
+    onMethod: setMethod
+  });
+
+  if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+    throw new Error('Converted file was not created');
+  }
+  await storeOutput(outputFileName);
+  recordAudit(getAuditRequest(payload.ownerId, payload.workspaceId), 'pdf.convert', {
+    pdfId: payload.fileId,
+    details: { fileName: outputFileName, jobId: job.id }
+  });
+
+  return { fileName: outputFileName, downloadUrl: `/api/download/${outputFileName}` };
+});
+
+function toJobResponse(job, req) {
+  const downloadUrl = job.result && job.result.fileName ? getDownloadUrl(req, job.result.fileName) : null;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    method: job.method,
+    attempts: job.attempts,
+    downloadUrl: downloadUrl,
+    result: job.result ? { ...job.result, downloadUrl: downloadUrl } : null,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Submit a background job
+app.post('/api/jobs', Permissions.require(req => getJobPermission(req.body.type)), async (req, res) => {
+  try {
+    const { type } = req.body;
+    let payload;
+
+    if (type === 'generate-document') {
+      const { templateId, variables, format = 'pdf', version } = req.body;
+      if (!templateId || !variables) {
+        return res.status(400).json({ error: 'Template ID and variables are required' });
+      }
+      const template = getAccessibleTemplate(req, templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const templateVersion = getTemplateVersion(template, version);
+      if (!templateVersion) {
+        return res.status(404).json({ error: 'Template version not found' });
+      }
+      if (!DocumentGenerator.isSupportedFormat(format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use "docx" or "pdf"' });
+      }
+      const { values, errors } = VariableValidator.validate(template.schema, variables);
+      const images = await loadImageValues(req, templateVersion.structure, values);
+      if (errors.length > 0 || images.errors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', fieldErrors: [...errors, ...images.errors] });
+      }
+      payload = { templateId, variables: values, format, version: templateVersion.version, workspaceId: req.workspace.id, ownerId: req.user.id };
+    } else if (type === 'convert-pdf-to-word') {
+      const { fileId } = req.body;
+      if (!fileId) {
+        return res.status(400).json({ error: 'File ID is required' });
+      }
+      if (!getAccessiblePdf(req, fileId)) {
+        return res.status(404).json({ error: 'PDF file not found' });
+      }
+      payload = { fileId, workspaceId: req.workspace.id, ownerId: req.user.id };
+    } else {
+      return res.status(400).json({ error: 'Unsupported job type. Use "generate-document" or "convert-pdf-to-word"' });
+    }
+
+    const job = jobQueue.submit(type, payload);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      job: toJobResponse(job, req)
+    });
+
+  } catch (error) {
+    console.error('Submit job error:', error);
+    res.status(500).json({ error: 'Failed to submit job' });
+  }
+});
+
+// Get job status
+app.get('/api/jobs/:jobId', Permissions.require('documents:read'), (req, res) => {
+  try {
+    const job = getAccessibleJob(req, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: toJobResponse(job, req)
+    });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel', Permissions.require(req => getJobPermission((jobQueue.get(req.params.jobId) || {}).type)), (req, res) => {
+  try {
+    const job = getAccessibleJob(req, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    try {
+      jobQueue.cancel(job.id);
+    } catch (cancelErr) {
+      return res.status(409).json({ error: cancelErr.message });
+    }
+
+    res.json({
+      success: true,
+      job: toJobResponse(job, req),
+      message: job.status === JobQueue.STATUS.CANCELLED ? 'Job cancelled' : 'Cancellation requested'
+    });
+
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Retry a failed or cancelled job
+app.post('/api/jobs/:jobId/retry', Permissions.require(req => getJobPermission((jobQueue.get(req.params.jobId) || {}).type)), (req, res) => {
+  try {
+    const job = getAccessibleJob(req, req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    try {
+      jobQueue.retry(job.id);
+    } catch (retryErr) {
+      return res.status(409).json({ error: retryErr.message });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      job: toJobResponse(job, req)
+    });
+
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // Rejected uploads (wrong type, too large, too many files) are the client's mistake
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+  }
+  // Covers rejected uploads and body parser errors such as malformed JSON (400) or a too large body (413)
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
   console.error('Server error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
 
 // Start server
-loadTemplatesFromDisk();
+LegacyJsonImporter.run(metadataStore, dataDir, __dirname);
+console.log(`Loaded ${metadataStore.countTemplates()} templates from the metadata store`);
+reconcilePdfsWithDisk().then(() => retentionSweeper.start());
 
 app.listen(PORT, () => {
   console.log(`Template Editor Backend running on port ${PORT}`);
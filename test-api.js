@@ -2,9 +2,16 @@ const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
 const axios = require('axios');
+const PizZip = require('pizzip');
 
 const BASE_URL = 'http://localhost:3001/api';
 
+// Every route except /health needs an API key (see `npm run create-user`)
+axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY || '';
+if (process.env.WORKSPACE_ID) {
+  axios.defaults.headers.common['X-Workspace-Id'] = process.env.WORKSPACE_ID;
+}
+
 // Test data
 const testVariables = {
   RecipientName: 'John Doe',
@@ -29,6 +36,44 @@ const testVariables = {
   GenerationDate: new Date().toLocaleDateString()
 };
 
+// Minimal DOCX template with one paragraph of text
+function buildTemplate(text) {
+  const zip = new PizZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>');
+  zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body><w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p></w:body></w:document>`);
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// 1x1 GIF padded with a comment block to the given size, so its base64 exceeds the 100 KB default body limit
+function buildLargeGif(size) {
+  const gif = Buffer.from('47494638396101000100800000000000ffffff21f90401000000002c00000000010001000002024401003b', 'hex');
+  const blocks = [];
+  for (let length = 0; length < size; length += 255) {
+    blocks.push(Buffer.from([255]), Buffer.alloc(255, 0x20));
+  }
+  // Header, screen descriptor and colour table come first, then the comment extension
+  return Buffer.concat([gif.subarray(0, 19), Buffer.from([0x21, 0xfe]), ...blocks, Buffer.from([0]), gif.subarray(19)]);
+}
+
+async function uploadTemplate(buffer, fileName) {
+  const form = new FormData();
+  form.append('file', buffer, { filename: fileName });
+  return axios.post(`${BASE_URL}/upload-template`, form, { headers: form.getHeaders() });
+}
+
 async function testAPI() {
   console.log('🧪 Testing Template Editor API...\n');
 
@@ -58,6 +103,43 @@ async function testAPI() {
     console.log(JSON.stringify(testVariables, null, 2));
     console.log('');
 
+    // Test 5: Base64 images larger than the default 100 KB JSON body limit
+    console.log('5. Testing Document Generation with a Large Base64 Image...');
+    const uploadResponse = await uploadTemplate(buildTemplate('{{%logo}}'), 'image-test.docx');
+    const image = buildLargeGif(150 * 1024);
+    const generateResponse = await axios.post(`${BASE_URL}/generate-document`, {
+      templateId: uploadResponse.data.templateId,
+      variables: { logo: `data:image/gif;base64,${image.toString('base64')}` }
+    });
+    console.log(`✅ Generated with a ${Math.round(image.length / 1024)} KB image:`, generateResponse.data.fileName);
+    console.log('');
+
+    // Test 6: JSON batches larger than the default 100 KB JSON body limit
+    console.log('6. Testing a Large JSON Batch...');
+    const batchTemplate = await uploadTemplate(buildTemplate('{{Name}}: {{Notes}}'), 'batch-test.docx');
+    const rows = Array.from({ length: 500 }, (_, i) => ({ Name: `Row ${i + 1}`, Notes: 'Lorem ipsum '.repeat(20) }));
+    const batchResponse = await axios.post(`${BASE_URL}/generate-batch`, {
+      templateId: batchTemplate.data.templateId,
+      rows: rows
+    });
+    console.log(`✅ Batch of ${rows.length} rows (${Math.round(JSON.stringify(rows).length / 1024)} KB):`, batchResponse.data.message);
+    console.log('');
+
+    // Test 7: Batches only accept CSV files
+    console.log('7. Testing Batch Upload of a Non-CSV File...');
+    const csvForm = new FormData();
+    csvForm.append('templateId', batchTemplate.data.templateId);
+    csvForm.append('file', Buffer.from('not a csv'), { filename: 'rows.json', contentType: 'application/json' });
+    const csvResponse = await axios.post(`${BASE_URL}/generate-batch`, csvForm, {
+      headers: csvForm.getHeaders(),
+      validateStatus: () => true
+    });
+    if (csvResponse.status !== 400) {
+      throw new Error(`Expected 400 for a non-CSV file, got ${csvResponse.status}`);
+    }
+    console.log('✅ Rejected with 400:', csvResponse.data.error);
+    console.log('');
+
     console.log('🎉 API tests completed!');
     console.log('');
     console.log('📝 Next steps:');
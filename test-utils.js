@@ -0,0 +1,996 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PizZip = require('pizzip');
+const CsvParser = require('./utils/csvParser');
+const DocxProcessor = require('./utils/docxProcessor');
+const DownloadLinks = require('./utils/downloadLinks');
+const FileValidator = require('./utils/fileValidator');
+const JobQueue = require('./utils/jobQueue');
+const LocalStorageDriver = require('./utils/localStorageDriver');
+const MetadataStore = require('./utils/metadataStore');
+const Permissions = require('./utils/permissions');
+const RetentionSweeper = require('./utils/retentionSweeper');
+const RichText = require('./utils/richText');
+const TableTotals = require('./utils/tableTotals');
+const TemplateFilters = require('./utils/templateFilters');
+const TemplateImages = require('./utils/templateImages');
+const TemplateLinter = require('./utils/templateLinter');
+const TemplatePreview = require('./utils/templatePreview');
+const TemplateScanner = require('./utils/templateScanner');
+const VariableValidator = require('./utils/variableValidator');
+const Workspaces = require('./utils/workspaces');
+
+// Unit tests for the utils/ modules; unlike test-api.js these need no running server
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fileflow-test-'));
+
+function writeTemp(name, content) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Build a DOCX with the given body XML; extra maps part names to contents
+function buildDocx(body, extra = {}) {
+  const zip = new PizZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>');
+  zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${body}</w:body></w:document>`);
+  Object.entries(extra).forEach(([name, content]) => zip.file(name, content));
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function paragraph(text) {
+  return `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+// CSV
+
+test('csv: parse quoted fields, line breaks, a BOM and blank lines', () => {
+  const csv = '\ufeffName, Amount ,\r\n"Doe, J","1,000"\r\n\r\n"multi\nline","say ""hi"""\nshort\n';
+  assert.deepStrictEqual(CsvParser.parse(csv), {
+    headers: ['Name', 'Amount'],
+    rows: [
+      { Name: 'Doe, J', Amount: '1,000' },
+      { Name: 'multi\nline', Amount: 'say "hi"' },
+      { Name: 'short', Amount: '' }
+    ]
+  });
+  assert.deepStrictEqual(CsvParser.parse('a;b\n1;2', { delimiter: ';' }).rows, [{ a: '1', b: '2' }]);
+  assert.deepStrictEqual(CsvParser.parse(''), { headers: [], rows: [] });
+});
+
+test('csv: quote fields and defuse spreadsheet formulas when writing', () => {
+  const csv = CsvParser.stringify(['a', 'b'], [{ a: '=SUM(A1)', b: 'x,"y"' }, { a: null, b: -5 }]);
+  assert.strictEqual(csv, 'a,b\r\n\'=SUM(A1),"x,""y"""\r\n,\'-5\r\n');
+  assert.deepStrictEqual(CsvParser.parse(CsvParser.stringify(['a'], [{ a: 'line\nbreak' }])).rows, [{ a: 'line\nbreak' }]);
+});
+
+// Background jobs
+
+// Wait until the queue has nothing running or pending
+async function settle(queue) {
+  while (queue.running.size > 0 || queue.pending.length > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+test('jobs: run at most `concurrency` jobs at once, in submission order', async () => {
+  const queue = new JobQueue({ concurrency: 2 });
+  const releases = [];
+  let running = 0;
+  let maxRunning = 0;
+  queue.registerHandler('wait', async (payload) => {
+    maxRunning = Math.max(maxRunning, ++running);
+    await new Promise(resolve => releases.push(resolve));
+    running--;
+    return { n: payload.n };
+  });
+
+  const jobs = [1, 2, 3, 4].map(n => queue.submit('wait', { n }));
+  assert.deepStrictEqual(jobs.map(job => job.status), ['running', 'running', 'queued', 'queued']);
+
+  while (jobs.some(job => job.status !== 'completed')) {
+    releases.splice(0).forEach(release => release());
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(jobs.map(job => job.result.n), [1, 2, 3, 4]);
+  assert.throws(() => queue.submit('missing', {}), /Unknown job type: missing/);
+});
+
+test('jobs: cancel queued jobs and abort running ones through their signal', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+  let started = 0;
+  let signal;
+  queue.registerHandler('slow', (payload, context) => {
+    started++;
+    signal = context.signal;
+    return new Promise((resolve, reject) => {
+      context.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  });
+
+  const running = queue.submit('slow', {});
+  const queued = queue.submit('slow', {});
+  assert.strictEqual(queue.cancel(queued.id).status, 'cancelled');
+
+  queue.cancel(running.id);
+  await settle(queue);
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(running.status, 'cancelled');
+  assert.strictEqual(running.error, null);
+  assert.strictEqual(started, 1);
+  assert.throws(() => queue.cancel(running.id), /Cannot cancel a job that is cancelled/);
+  assert.throws(() => queue.cancel('missing'), /Job not found/);
+});
+
+test('jobs: retry failed jobs with their original payload', async () => {
+  const queue = new JobQueue();
+  let calls = 0;
+  queue.registerHandler('flaky', async (payload, { setMethod }) => {
+    setMethod('libreoffice');
+    if (++calls === 1) {
+      throw new Error('LibreOffice crashed');
+    }
+    return { value: payload.value };
+  });
+
+  const job = queue.submit('flaky', { value: 42 });
+  await settle(queue);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.error, 'LibreOffice crashed');
+
+  queue.retry(job.id);
+  await settle(queue);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.error, null);
+  assert.strictEqual(job.method, 'libreoffice');
+  assert.deepStrictEqual(job.result, { value: 42 });
+  assert.throws(() => queue.retry(job.id), /Only failed or cancelled jobs can be retried/);
+});
+
+test('jobs: keep only the newest maxFinishedJobs finished jobs', async () => {
+  const queue = new JobQueue({ maxFinishedJobs: 2 });
+  queue.registerHandler('quick', async (payload) => payload);
+
+  const jobs = [1, 2, 3, 4].map(n => queue.submit('quick', { n }));
+  await settle(queue);
+  assert.deepStrictEqual(jobs.map(job => Boolean(queue.get(job.id))), [false, false, true, true]);
+});
+
+// Variable schema
+
+test('schema: rejects unknown variables, types and bad definitions', () => {
+  const { schema, errors } = VariableValidator.normalizeSchema({
+    Missing: { type: 'text' },
+    Amount: { type: 'money' },
+    Plan: { type: 'enum' },
+    RefNo: 'text',
+    Email: { type: 'email', default: 'not-an-email' }
+  }, ['Amount', 'Plan', 'RefNo', 'Email']);
+
+  assert.deepStrictEqual(schema, {});
+  assert.deepStrictEqual(errors.map(error => error.field), ['Missing', 'Amount', 'Plan', 'RefNo', 'Email']);
+  assert.match(errors[1].message, /Unknown type "money"/);
+  assert.match(errors[4].message, /^Default value is invalid/);
+});
+
+test('schema: normalizes valid definitions and keeps null removals', () => {
+  const { schema, errors } = VariableValidator.normalizeSchema({
+    Plan: { type: 'enum', options: ['Lite', 1], default: 'Lite', required: 'yes' },
+    RefNo: null
+  }, ['Plan', 'RefNo']);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(schema, {
+    Plan: { type: 'enum', required: true, options: ['Lite', '1'], default: 'Lite' },
+    RefNo: null
+  });
+});
+
+test('schema: rejects invalid, overlong and nested-repetition patterns', () => {
+  const patterns = { A: '([a-z]', B: 'x'.repeat(201), C: '(a+)+$', D: '(a|aa)*$', E: '^DIPL/\\d{3}$' };
+  const schema = Object.fromEntries(Object.entries(patterns).map(([field, pattern]) => [field, { pattern }]));
+  const { errors } = VariableValidator.normalizeSchema(schema, Object.keys(patterns));
+
+  assert.deepStrictEqual(errors.map(error => error.field), ['A', 'B', 'C', 'D']);
+  assert.match(errors[0].message, /not a valid regular expression/);
+  assert.match(errors[1].message, /at most 200 characters/);
+});
+
+test('validate: applies defaults and reports missing and invalid values', () => {
+  const schema = {
+    Name: { type: 'text', required: true },
+    Plan: { type: 'enum', options: ['Lite', 'Regular'], default: 'Lite' },
+    Amount: { type: 'currency' },
+    Date: { type: 'date' },
+    Phone: { type: 'phone' },
+    RefNo: { type: 'text', pattern: '^DIPL/' }
+  };
+  const { values, errors } = VariableValidator.validate(schema, {
+    Name: '  ',
+    Amount: '₹ 1,00,000/-',
+    Date: '31/02/2024',
+    Phone: '12',
+    RefNo: 'ABC/1'
+  });
+
+  assert.strictEqual(values.Plan, 'Lite');
+  assert.deepStrictEqual(errors, [
+    { field: 'Name', message: 'This field is required' },
+    { field: 'Date', message: 'Must be a valid date (YYYY-MM-DD or DD/MM/YYYY)' },
+    { field: 'Phone', message: 'Must be a valid phone number' },
+    { field: 'RefNo', message: 'Does not match the required format' }
+  ]);
+});
+
+test('validate: refuses to run a pattern on overlong values', () => {
+  const { errors } = VariableValidator.validate({ RefNo: { type: 'text', pattern: '^DIPL/' } }, {
+    RefNo: `DIPL/${'x'.repeat(1000)}`
+  });
+  assert.deepStrictEqual(errors, [{ field: 'RefNo', message: 'Must be at most 1000 characters' }]);
+});
+
+// Template filters
+
+function filter(tag, value) {
+  const { filters } = TemplateFilters.parseTag(tag);
+  TemplateFilters.assertKnown(filters);
+  return TemplateFilters.apply(value, filters);
+}
+
+test('filters: parse tags with quoted and curly-quoted arguments', () => {
+  assert.deepStrictEqual(TemplateFilters.parseTag(' ValidDate | date:“DD MMM | YYYY” '), {
+    name: 'ValidDate',
+    filters: [{ name: 'date', args: ['DD MMM | YYYY'] }]
+  });
+  assert.strictEqual(TemplateFilters.baseName('amount | currency:INR:0'), 'amount');
+});
+
+test('filters: format numbers and currency with Indian grouping', () => {
+  assert.strictEqual(filter('a | number', '100000'), '1,00,000');
+  assert.strictEqual(filter('a | number:2', '₹ 1,234.5/-'), '1,234.50');
+  assert.strictEqual(filter('a | currency:INR', 100000), '₹1,00,000.00');
+  assert.strictEqual(filter('a | currency:usd:0', '1234.5'), '$1,235');
+  assert.strictEqual(filter('a | rupees', '100000.4'), '1,00,000/-');
+  assert.strictEqual(filter('a | rupees:"Rs. "', 99999.5), 'Rs. 1,00,000/-');
+  assert.strictEqual(filter('a | currency', 'N/A'), 'N/A');
+});
+
+test('filters: spell amounts in words, rounding to paise first', () => {
+  assert.strictEqual(filter('a | words:INR', 12.999), 'Rupees Thirteen Only');
+  assert.strictEqual(filter('a | words:INR', 12.995), 'Rupees Thirteen Only');
+  assert.strictEqual(filter('a | words:INR', '1,00,000.50'), 'Rupees One Lakh and Fifty Paise Only');
+  assert.strictEqual(filter('a | words', 123456789), 'Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine');
+  assert.strictEqual(filter('a | words:INR', -0.001), 'Rupees Zero Only');
+  assert.strictEqual(filter('a | words:INR', -3.1), 'Minus Rupees Three and Ten Paise Only');
+});
+
+test('filters: format dates and keep missing values empty', () => {
+  assert.strictEqual(filter('d | date:"dddd, D MMMM YY"', '2026-01-05'), 'Monday, 5 January 26');
+  assert.strictEqual(filter('d | date', '29/02/2024'), '29/02/2024');
+  assert.strictEqual(filter('d | date', 'soon'), 'soon');
+  assert.strictEqual(filter('a | upper | currency', undefined), '');
+  assert.strictEqual(filter('a | default:"N/A" | upper', ''), 'N/A');
+});
+
+test('filters: reject unknown filters, currency codes and decimals when compiled', () => {
+  assert.throws(() => filter('a | money', 1), /Unknown filter "money"/);
+  assert.throws(() => filter('a | currency:RUPEE', 1), /Unknown currency code "RUPEE"/);
+  assert.throws(() => filter('a | currency:INR:two', 1), /Invalid decimals "two" in filter "currency"/);
+  assert.throws(() => filter('a | number:21', 1), /Invalid decimals "21" in filter "number"/);
+});
+
+// Workspace roles
+
+// Response stub that records what a middleware answered
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Run a middleware and report whether it called next() and what it answered
+function runMiddleware(middleware, req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { nextCalled, status: res.statusCode, body: res.body };
+}
+
+function workspaceRequest(role, headers = {}) {
+  return {
+    user: { id: 'user-1', role: 'user' },
+    workspace: role ? { id: 'ws-1', name: 'Sales', role } : null,
+    get: name => headers[name.toLowerCase()],
+    query: {},
+    params: {}
+  };
+}
+
+test('permissions: roles add access in the order viewer < generator < editor < admin', () => {
+  assert.deepStrictEqual(Permissions.roles, ['viewer', 'generator', 'editor', 'admin']);
+
+  // The first role with each permission; every later role has it too
+  const firstRole = {
+    'templates:read': 'viewer',
+    'documents:generate': 'generator',
+    'templates:write': 'editor',
+    'pdfs:convert': 'editor',
+    'audit:read': 'admin',
+    'members:manage': 'admin'
+  };
+  Object.entries(firstRole).forEach(([permission, role]) => {
+    const minimum = Permissions.roles.indexOf(role);
+    Permissions.roles.forEach((candidate, index) => {
+      assert.strictEqual(Permissions.has(candidate, permission), index >= minimum, `${candidate} / ${permission}`);
+    });
+  });
+  assert.deepStrictEqual(Permissions.forRole('owner'), []);
+});
+
+test('permissions: require() allows each role its permissions and denies the next role\'s', () => {
+  const cases = [
+    ['viewer', 'templates:read', 'documents:generate'],
+    ['generator', 'documents:generate', 'templates:write'],
+    ['editor', 'templates:write', 'templates:delete'],
+    ['admin', 'audit:read', null]
+  ];
+
+  cases.forEach(([role, allowed, denied]) => {
+    assert.strictEqual(runMiddleware(Permissions.require(allowed), workspaceRequest(role)).nextCalled, true, `${role} / ${allowed}`);
+    if (denied) {
+      const result = runMiddleware(Permissions.require(denied), workspaceRequest(role));
+      assert.strictEqual(result.nextCalled, false, `${role} / ${denied}`);
+      assert.strictEqual(result.status, 403);
+      assert.strictEqual(result.body.permission, denied);
+      assert.match(result.body.error, new RegExp(`your role \\(${role}\\)`));
+    }
+  });
+
+  // The permission may depend on the request, as for job types
+  const byType = Permissions.require(req => req.body.type === 'convert' ? 'pdfs:convert' : 'documents:generate');
+  assert.strictEqual(runMiddleware(byType, { ...workspaceRequest('generator'), body: { type: 'convert' } }).status, 403);
+  assert.strictEqual(runMiddleware(byType, { ...workspaceRequest('generator'), body: { type: 'generate' } }).nextCalled, true);
+
+  assert.throws(() => Permissions.check(workspaceRequest('admin'), 'templates:fly'), /Unknown permission/);
+});
+
+test('permissions: without a workspace only system admins may read', () => {
+  const admin = { ...workspaceRequest(null), user: { id: 'admin-1', role: 'admin' } };
+  assert.strictEqual(Permissions.check(admin, 'templates:read'), null);
+  assert.strictEqual(Permissions.check(admin, 'templates:write').status, 400);
+  assert.strictEqual(Permissions.check(workspaceRequest(null), 'templates:read').status, 400);
+});
+
+test('workspaces: resolve the workspace and role from the header or the only membership', () => {
+  const store = {
+    getWorkspace: id => (id === 'ws-1' || id === 'ws-2') ? { id, name: id } : null,
+    getMemberRole: (workspaceId, userId) => workspaceId === 'ws-1' && userId === 'user-1' ? 'generator' : null,
+    listWorkspacesForUser: () => [{ id: 'ws-1', name: 'ws-1', role: 'generator' }],
+    isTemplateSharedWith: (templateId, workspaceId) => templateId === 'shared' && workspaceId === 'ws-1'
+  };
+  const resolve = Workspaces.resolve(store);
+
+  const member = workspaceRequest(null, { 'x-workspace-id': 'ws-1' });
+  assert.strictEqual(runMiddleware(resolve, member).nextCalled, true);
+  assert.deepStrictEqual(member.workspace, { id: 'ws-1', name: 'ws-1', role: 'generator' });
+
+  assert.strictEqual(runMiddleware(resolve, workspaceRequest(null, { 'x-workspace-id': 'ws-2' })).status, 403);
+  assert.strictEqual(runMiddleware(resolve, workspaceRequest(null, { 'x-workspace-id': 'ws-9' })).status, 404);
+
+  const single = workspaceRequest(null);
+  runMiddleware(resolve, single);
+  assert.strictEqual(single.workspace.id, 'ws-1');
+
+  const admin = { ...workspaceRequest(null, { 'x-workspace-id': 'ws-2' }), user: { id: 'admin-1', role: 'admin' } };
+  runMiddleware(resolve, admin);
+  assert.strictEqual(admin.workspace.role, 'admin');
+
+  // Members of a workspace named in the URL still need the route's permission
+  const manage = { ...workspaceRequest(null), params: { workspaceId: 'ws-1' } };
+  assert.strictEqual(runMiddleware(Workspaces.requireMembership(store, 'members:manage'), manage).status, 403);
+  const outsider = { ...workspaceRequest(null), params: { workspaceId: 'ws-2' } };
+  assert.strictEqual(runMiddleware(Workspaces.requireMembership(store, 'members:read'), outsider).status, 404);
+
+  assert.strictEqual(Workspaces.templateAccess(member, { id: 'own', workspaceId: 'ws-1' }, store), 'write');
+  assert.strictEqual(Workspaces.templateAccess(member, { id: 'shared', workspaceId: 'ws-2' }, store), 'read');
+  assert.strictEqual(Workspaces.templateAccess(member, { id: 'other', workspaceId: 'ws-2' }, store), null);
+  assert.strictEqual(Workspaces.canAccess(member, { workspaceId: 'ws-2' }), false);
+});
+
+// Audit log
+
+test('audit: a workspace lists only its own events, even for a shared template', () => {
+  const store = new MetadataStore(':memory:');
+  try {
+    const record = (workspaceId, action) => store.recordAuditEvent({
+      action, userId: `user-${workspaceId}`, workspaceId, templateId: 'shared-template'
+    });
+    record('ws-a', 'template.upload');
+    record('ws-a', 'template.share');
+    record('ws-b', 'document.generate');
+    record('ws-b', 'template.view');
+
+    const own = store.listAuditEvents({ workspaceId: 'ws-a', templateId: 'shared-template' });
+    assert.strictEqual(own.total, 2);
+    assert.deepStrictEqual(own.events.map(event => event.action), ['template.share', 'template.upload']);
+
+    const other = store.listAuditEvents({ workspaceId: 'ws-b', userId: 'user-ws-a' });
+    assert.deepStrictEqual(other, { events: [], total: 0 });
+
+    const page = store.listAuditEvents({ workspaceId: 'ws-b', limit: 1, offset: 1 });
+    assert.strictEqual(page.total, 2);
+    assert.deepStrictEqual(page.events.map(event => event.action), ['document.generate']);
+
+    // Admins browsing without a workspace see every event
+    assert.strictEqual(store.listAuditEvents({}).total, 4);
+  } finally {
+    store.close();
+  }
+});
+
+// Signed download links
+
+function linkQuery(url) {
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+}
+
+test('download links: accept a valid link and report its user and nonce', () => {
+  const links = new DownloadLinks({ secret: 'test-secret' });
+  const { url, singleUse } = links.sign('generated-1.pdf', { userId: 'user-1', singleUse: true });
+  const result = links.verify('generated-1.pdf', linkQuery(url));
+
+  assert.ok(url.startsWith('/api/download/generated-1.pdf?'));
+  assert.strictEqual(singleUse, true);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.userId, 'user-1');
+  assert.match(result.nonce, /^[0-9a-f]{32}$/);
+});
+
+test('download links: reject unsigned, tampered and foreign links', () => {
+  const links = new DownloadLinks({ secret: 'test-secret' });
+  const query = linkQuery(links.sign('generated-1.pdf', { userId: 'user-1' }).url);
+  const expectForbidden = (result) => assert.deepStrictEqual([result.valid, result.status], [false, 403]);
+
+  expectForbidden(links.verify('generated-1.pdf', {}));
+  expectForbidden(links.verify('generated-2.pdf', query));
+  expectForbidden(links.verify('generated-1.pdf', { ...query, uid: 'user-2' }));
+  expectForbidden(links.verify('generated-1.pdf', { ...query, expires: String(Number(query.expires) + 3600) }));
+  expectForbidden(links.verify('generated-1.pdf', { ...query, once: 'replayed' }));
+  expectForbidden(new DownloadLinks({ secret: 'other-secret' }).verify('generated-1.pdf', query));
+});
+
+test('download links: expire after their lifetime, capped at maxTtl', () => {
+  const links = new DownloadLinks({ secret: 'test-secret', maxTtl: 60 });
+  const realNow = Date.now;
+  try {
+    const start = realNow();
+    const { url, expiresAt } = links.sign('generated-1.pdf', { expiresIn: 3600 });
+    assert.ok(Date.parse(expiresAt) <= start + 61 * 1000);
+
+    Date.now = () => start + 59 * 1000;
+    assert.strictEqual(links.verify('generated-1.pdf', linkQuery(url)).valid, true);
+    Date.now = () => start + 61 * 1000;
+    assert.deepStrictEqual(links.verify('generated-1.pdf', linkQuery(url)), {
+      valid: false,
+      status: 410,
+      error: 'This download link has expired'
+    });
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+// Retention
+
+// Local storage with the given files, each { key: ageInSeconds }
+async function buildRetentionStorage(files) {
+  const rootDir = path.join(tmpDir, 'retention');
+  await fs.emptyDir(rootDir);
+  for (const [key, age] of Object.entries(files)) {
+    const filePath = path.join(rootDir, key);
+    await fs.outputFile(filePath, 'x'.repeat(10));
+    const modified = new Date(Date.now() - age * 1000);
+    await fs.utimes(filePath, modified, modified);
+  }
+  return { rootDir, storage: new LocalStorageDriver({ rootDir }) };
+}
+
+const HOUR = 60 * 60;
+
+const retentionClasses = [
+  { name: 'generated', folder: 'temp', pattern: /^generated-/, ttl: HOUR },
+  { name: 'batch', folder: 'temp', pattern: /^batch-.*\.zip$/, ttl: 0 },
+  { name: 'uploads', folder: 'uploads', pattern: /./, ttl: 24 * HOUR }
+];
+
+test('retention: expire files by the TTL of the first matching class', async () => {
+  const { rootDir, storage } = await buildRetentionStorage({
+    'temp/generated-old.docx': 2 * HOUR,
+    'temp/generated-new.docx': 60,
+    'temp/batch-old.zip': 30 * 24 * HOUR,
+    'temp/notes.txt': 30 * 24 * HOUR,
+    'uploads/old.docx': 2 * 24 * HOUR,
+    'uploads/new.docx': HOUR
+  });
+  const sweeper = new RetentionSweeper({ storage, rootDir, classes: retentionClasses });
+
+  const usage = await sweeper.usage();
+  assert.deepStrictEqual(usage.classes.map(({ name, files, expiredFiles }) => [name, files, expiredFiles]), [
+    ['generated', 2, 1],
+    ['batch', 1, 0],
+    ['uploads', 2, 1]
+  ]);
+  assert.deepStrictEqual(usage.other, { files: 1, bytes: 10 });
+  assert.strictEqual(usage.totalFiles, 6);
+
+  const sweep = await sweeper.sweep();
+  assert.strictEqual(sweep.files, 2);
+  assert.strictEqual(sweep.bytes, 20);
+  assert.deepStrictEqual(sweep.deleted, {
+    generated: { files: 1, bytes: 10 },
+    batch: { files: 0, bytes: 0 },
+    uploads: { files: 1, bytes: 10 }
+  });
+  assert.deepStrictEqual(sweeper.reclaimed, sweep.deleted);
+  assert.deepStrictEqual((await storage.list('temp')).sort(), ['temp/batch-old.zip', 'temp/generated-new.docx', 'temp/notes.txt']);
+  assert.deepStrictEqual(await storage.list('uploads'), ['uploads/new.docx']);
+});
+
+test('retention: keep referenced files whatever their age and delete the rest', async () => {
+  const { rootDir, storage } = await buildRetentionStorage({
+    'temp/generated-kept.pdf': 10 * HOUR,
+    'temp/generated-orphan.pdf': 10 * HOUR,
+    'uploads/template.docx': 10 * 24 * HOUR,
+    'uploads/orphan.docx': 10 * 24 * HOUR
+  });
+  const sweeper = new RetentionSweeper({
+    storage,
+    rootDir,
+    classes: retentionClasses,
+    getReferencedKeys: async () => new Set(['temp/generated-kept.pdf', 'uploads/template.docx'])
+  });
+
+  const sweep = await sweeper.sweep();
+  assert.strictEqual(sweep.files, 2);
+  assert.deepStrictEqual(sweep.errors, []);
+  assert.deepStrictEqual(await storage.list('temp'), ['temp/generated-kept.pdf']);
+  assert.deepStrictEqual(await storage.list('uploads'), ['uploads/template.docx']);
+});
+
+// Upload validation
+
+// A minimal PDF (a catalog and no pages) whose startxref points at its cross-reference table
+function buildPdf(trailer = '', body = '') {
+  const head = `%PDF-1.4\n1 0 obj\n<< /Type /Catalog ${body}>>\nendobj\n`;
+  return Buffer.from(`${head}xref\n0 1\n0000000000 65535 f \ntrailer\n<< /Size 1 /Root 1 0 R ${trailer}>>\n` +
+    `startxref\n${Buffer.byteLength(head)}\n%%EOF\n`, 'latin1');
+}
+
+const PNG_1X1 = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+test('file validation: accept a DOCX and tell template formats apart by content', async () => {
+  assert.deepStrictEqual(await FileValidator.validateDocx(writeTemp('plain.docx', buildDocx(paragraph('Hi')))), {
+    valid: true,
+    format: 'docx'
+  });
+  assert.deepStrictEqual(await FileValidator.validateTemplate(writeTemp('letter.bin', '{\\rtf1 Hello}')), {
+    valid: true,
+    format: 'rtf'
+  });
+});
+
+test('file validation: reject files whose magic bytes are not the claimed format', async () => {
+  const cfb = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(512)]);
+  const pdf = writeTemp('real.pdf', buildPdf());
+
+  assert.match((await FileValidator.validateDocx(writeTemp('text.docx', 'just text'))).error, /not a \.docx document/);
+  assert.match((await FileValidator.validateDocx(writeTemp('image.docx', PNG_1X1))).error, /not a \.docx document/);
+  assert.match((await FileValidator.validateDocx(writeTemp('legacy.docx', cfb))).error, /legacy Word \(\.doc\)/);
+  assert.match((await FileValidator.validateTemplate(pdf)).error, /not a Word document/);
+  assert.match((await FileValidator.validatePdf(writeTemp('fake.pdf', buildDocx(paragraph('Hi'))))).error, /not a PDF/);
+  assert.match((await FileValidator.validateImage(pdf)).error, /not a PNG, JPEG or GIF/);
+  assert.deepStrictEqual(await FileValidator.validateImage(writeTemp('dot.png', PNG_1X1)), {
+    valid: true,
+    format: 'png',
+    width: 1,
+    height: 1
+  });
+});
+
+test('file validation: reject macro-enabled documents', async () => {
+  const docm = buildDocx(paragraph('Hi'), { 'word/vbaProject.bin': 'macro' });
+  assert.match((await FileValidator.validateDocx(writeTemp('macro.docx', docm))).error, /^Macro-enabled documents/);
+});
+
+test('file validation: reject ZIP bombs by size, ratio, entry count and understated sizes', async () => {
+  const huge = buildDocx(paragraph('Hi'), { 'word/media/zeros.bin': Buffer.alloc(11 * 1024 * 1024) });
+  assert.match((await FileValidator.validateDocx(writeTemp('ratio.docx', huge))).error, /possible ZIP bomb/);
+
+  const manyEntries = Object.fromEntries(Array.from({ length: 5001 }, (_, i) => [`word/parts/${i}.xml`, '']));
+  const crowded = buildDocx(paragraph('Hi'), manyEntries);
+  assert.match((await FileValidator.validateDocx(writeTemp('entries.docx', crowded))).error, /too many entries/);
+
+  // Understate the size of word/document.xml in the central directory
+  const lying = buildDocx(paragraph('x'.repeat(10000)));
+  const nameOffset = lying.lastIndexOf('word/document.xml');
+  lying.writeUInt32LE(10, nameOffset - 46 + 24);
+  assert.match((await FileValidator.validateDocx(writeTemp('lying.docx', lying))).error,
+    /"word\/document\.xml" unpacks to more than its declared size/);
+});
+
+test('file validation: check PDF structure but not content', async () => {
+  assert.deepStrictEqual(await FileValidator.validatePdf(writeTemp('ok.pdf', buildPdf())), { valid: true });
+  // Words like /JavaScript in content or metadata are not actions; they must not block the upload
+  const mentions = buildPdf('', '/Title (About /JavaScript and /Launch) ');
+  assert.deepStrictEqual(await FileValidator.validatePdf(writeTemp('mentions.pdf', mentions)), { valid: true });
+
+  const truncated = buildPdf().subarray(0, -7);
+  assert.match((await FileValidator.validatePdf(writeTemp('truncated.pdf', truncated))).error, /end-of-file marker is missing/);
+  const encrypted = buildPdf('/Encrypt 2 0 R ');
+  assert.match((await FileValidator.validatePdf(writeTemp('encrypted.pdf', encrypted))).error, /^Encrypted PDFs/);
+});
+
+test('file validation: sanitize stored file names', () => {
+  assert.strictEqual(FileValidator.sanitizeFileName('..\\..\\etc/pa<ss>wd:\u0001.docx'), 'passwd.docx');
+  assert.strictEqual(FileValidator.sanitizeFileName('  ', 'template'), 'template');
+});
+
+// Template scanning
+
+test('scanner: find tags split across runs and skip deleted text', () => {
+  const body = '<w:p><w:r><w:t>Dear {{Na</w:t></w:r><w:proofErr w:type="spellStart"/><w:r><w:t>me}},</w:t></w:r></w:p>' +
+    '<w:p><w:del><w:r><w:delText>{{Old}}</w:delText></w:r></w:del><w:r><w:t>{{ Amount | rupees }} {Bad}</w:t></w:r></w:p>';
+  const { tags, malformed } = TemplateScanner.scan(new PizZip(buildDocx(body)));
+
+  assert.deepStrictEqual(tags, [
+    { tag: 'Name', part: 'word/document.xml', location: 'body', paragraph: 1 },
+    { tag: 'Amount | rupees', part: 'word/document.xml', location: 'body', paragraph: 2 }
+  ]);
+  assert.deepStrictEqual(malformed.map(entry => [entry.code, entry.text, entry.paragraph]), [['single-braces', '{Bad}', 2]]);
+});
+
+test('scanner: report malformed tags', () => {
+  const codes = (text) => TemplateScanner.findTags(text).malformed.map(entry => entry.code);
+  assert.deepStrictEqual(codes('{{NAME'), ['unclosed']);
+  assert.deepStrictEqual(codes('NAME}}'), ['unopened']);
+  assert.deepStrictEqual(codes('{{ }}'), ['empty']);
+  assert.deepStrictEqual(codes('｛｛NAME｝｝'), ['full-width-braces']);
+});
+
+test('extraction: list variables, image tags and structure by base name', async () => {
+  const body = paragraph('{{ Client | upper }} {{%logo | width:3cm}}') +
+    paragraph('{{#items}}{{desc}} {{amount | number}}{{/items}}{{^paid}}Due{{/paid}}');
+  const result = await DocxProcessor.extractTextAndVariables(writeTemp('extract.docx', buildDocx(body)));
+
+  assert.deepStrictEqual(result.variables, ['Client', 'items', 'paid']);
+  assert.deepStrictEqual(result.imageVariables, ['logo']);
+  assert.deepStrictEqual(result.structure.find(node => node.name === 'items'), {
+    name: 'items',
+    type: 'loop',
+    children: [{ name: 'desc', type: 'text' }, { name: 'amount', type: 'text' }]
+  });
+});
+
+// Template linting
+
+test('lint: a clean template matching its record has no issues', async () => {
+  const filePath = writeTemp('lint-clean.docx', buildDocx(paragraph('Dear {{Name}}, you owe {{Amount | currency:INR}}')));
+  const result = await TemplateLinter.lint(filePath, { variables: ['Name', 'Amount'], savedValues: { Name: 'Ravi' }, schema: {} });
+
+  assert.deepStrictEqual(result.variables, ['Name', 'Amount']);
+  assert.deepStrictEqual(result.issues, []);
+  assert.deepStrictEqual(result.summary, { errors: 0, warnings: 0, info: 0 });
+});
+
+test('lint: report broken tags, unbalanced sections and bad filters as errors first', async () => {
+  const body = paragraph('{{#items}}{{desc}}') + paragraph('{{Total | currency:RUPEE}}') + paragraph('Dear {{Name');
+  const result = await TemplateLinter.lint(writeTemp('lint-errors.docx', buildDocx(body)));
+  const codes = result.issues.map(issue => `${issue.severity}:${issue.code}`);
+
+  assert.ok(codes.includes('error:unbalanced-section'), codes.join(', '));
+  assert.ok(codes.includes('error:invalid-tag'), codes.join(', '));
+  assert.ok(codes.includes('error:malformed-tag'), codes.join(', '));
+  assert.match(result.issues.find(issue => issue.code === 'invalid-tag').message, /RUPEE/);
+  assert.deepStrictEqual(result.issues.find(issue => issue.code === 'malformed-tag').locations,
+    [{ location: 'body', part: 'word/document.xml', paragraph: 3 }]);
+
+  // Errors sort before the stale-variable-list warnings for the unknown record
+  assert.strictEqual(result.issues[0].severity, 'error');
+  assert.strictEqual(result.summary.errors, codes.filter(code => code.startsWith('error:')).length);
+});
+
+test('lint: warn about names differing in case and a stale stored record', async () => {
+  const filePath = writeTemp('lint-warnings.docx', buildDocx(paragraph('{{NAME}} {{ name }} {{City}}')));
+  const result = await TemplateLinter.lint(filePath, {
+    variables: ['NAME', 'name', 'Town'],
+    savedValues: { Town: 'Pune' },
+    schema: { Pin: { type: 'text' } }
+  });
+
+  const duplicate = result.issues.find(issue => issue.code === 'duplicate-name');
+  assert.deepStrictEqual(duplicate.variables, ['NAME', 'name']);
+  assert.deepStrictEqual(result.issues.filter(issue => issue.code !== 'duplicate-name').map(issue => [issue.code, issue.variable]), [
+    ['stale-variable-list', 'Town'],
+    ['stale-variable-list', 'City'],
+    ['stale-saved-value', 'Town'],
+    ['stale-schema', 'Pin']
+  ]);
+  assert.deepStrictEqual(result.summary, { errors: 0, warnings: 5, info: 0 });
+});
+
+test('lint: note variables that only appear in headers or footers', async () => {
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>' +
+    '</Types>';
+  const header = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">${paragraph('{{RefNo}} {{Name}}')}</w:hdr>`;
+  const filePath = writeTemp('lint-header.docx', buildDocx(paragraph('Dear {{Name}}'), {
+    '[Content_Types].xml': contentTypes,
+    'word/header1.xml': header
+  }));
+  const result = await TemplateLinter.lint(filePath, { variables: ['Name', 'RefNo'] });
+
+  assert.deepStrictEqual(result.issues.map(issue => [issue.severity, issue.code, issue.variable]), [
+    ['info', 'variable-outside-body', 'RefNo']
+  ]);
+  assert.match(result.issues[0].message, /header \(word\/header1\.xml\)/);
+});
+
+// Template preview
+
+test('preview: mark filled values and keep unfilled placeholders', async () => {
+  const body = paragraph('Dear {{Name | upper}}, your number is {{Mobile}}.') + paragraph('{{Name}} lives in {{City}}');
+  const result = await TemplatePreview.render(writeTemp('preview.docx', buildDocx(body)), { Name: 'Ravi Kumar', City: '' });
+
+  assert.strictEqual(result.html,
+    '<p>Dear <mark class="filled">RAVI KUMAR</mark>, your number is <mark class="unfilled">{{Mobile}}</mark>.</p>' +
+    '<p><mark class="filled">Ravi Kumar</mark> lives in <mark class="unfilled">{{City}}</mark></p>');
+  assert.deepStrictEqual(result.filled, ['Name']);
+  assert.deepStrictEqual(result.unfilled, ['Mobile', 'City']);
+  assert.deepStrictEqual(result.messages, []);
+});
+
+test('preview: escape markup in values and strip forged highlight marks', async () => {
+  const filePath = writeTemp('preview-escape.docx', buildDocx(paragraph('{{Note}}')));
+  const result = await TemplatePreview.render(filePath, { Note: '<script>alert(1)</script>\uE001<b>x</b>\uE002' });
+
+  assert.strictEqual(result.html, '<p><mark class="filled">&lt;script&gt;alert(1)&lt;/script&gt;&lt;b&gt;x&lt;/b&gt;</mark></p>');
+});
+
+// Rich text
+
+test('rich text: escape text and drop scripts from HTML', () => {
+  const xml = RichText.toWordML('<p>Hi <b>there</b><script>alert(1)</script> &lt;x&gt; & <img src=x onerror=alert(1)></p>',
+    RichText.createNumbering(new PizZip()));
+
+  assert.strictEqual(xml, '<w:p><w:r><w:t xml:space="preserve">Hi </w:t></w:r>' +
+    '<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">there</w:t></w:r>' +
+    '<w:r><w:t xml:space="preserve"> &lt;x&gt; &amp; </w:t></w:r></w:p>');
+  assert.strictEqual(RichText.toWordML('  ', RichText.createNumbering(new PizZip())), '');
+});
+
+test('rich text: render Markdown headings and lists with Word numbering', async () => {
+  const templatePath = writeTemp('terms.docx', buildDocx(paragraph('{{@terms}}') + paragraph('End')));
+  const outputPath = path.join(tmpDir, 'terms-out.docx');
+  await DocxProcessor.processTemplate(templatePath, { terms: '## Payment\n- 50% **in advance**\n- Balance\n\n1. First' }, outputPath);
+
+  const zip = new PizZip(fs.readFileSync(outputPath));
+  const xml = zip.file('word/document.xml').asText();
+  assert.match(xml, /<w:pStyle w:val="Heading2"\/>.*Payment/);
+  assert.strictEqual((xml.match(/<w:numId w:val="1"\/>/g) || []).length, 2);
+  assert.strictEqual((xml.match(/<w:numId w:val="2"\/>/g) || []).length, 1);
+  assert.ok(!xml.includes('{{@terms}}'));
+
+  const numbering = zip.file('word/numbering.xml').asText();
+  assert.match(numbering, /<w:num w:numId="2"><w:abstractNumId w:val="2"\/>/);
+  assert.match(zip.file('word/_rels/document.xml.rels').asText(), /Target="numbering.xml"/);
+  assert.match(zip.file('[Content_Types].xml').asText(), /PartName="\/word\/numbering.xml"/);
+});
+
+// Images
+
+// A GIF that reports the given size; only its header is read when sizing it
+function gifOfSize(width, height) {
+  const gif = Buffer.from('47494638396101000100800000000000ffffff21f90401000000002c00000000010001000002024401003b', 'hex');
+  gif.writeUInt16LE(width, 6);
+  gif.writeUInt16LE(height, 8);
+  return gif;
+}
+
+function gifDataUrl(width, height) {
+  return `data:image/gif;base64,${gifOfSize(width, height).toString('base64')}`;
+}
+
+test('images: size from the value, then the tag options, keeping the aspect ratio', () => {
+  const image = TemplateImages.readValue({ data: gifOfSize(200, 100).toString('base64'), width: '2cm' });
+  assert.deepStrictEqual([image.type, image.width, image.height], ['gif', 200 * 9525, 100 * 9525]);
+
+  const tagOptions = TemplateImages.parseOptions(TemplateFilters.parseTag('logo | height:1in').filters);
+  assert.deepStrictEqual(tagOptions, { height: 914400 });
+  assert.deepStrictEqual(TemplateImages.fitSize(image, tagOptions, null, 5731510), { width: 720000, height: 360000 });
+
+  const plain = TemplateImages.readValue(gifDataUrl(200, 100));
+  assert.deepStrictEqual(TemplateImages.fitSize(plain, tagOptions, null, 5731510), { width: 1828800, height: 914400 });
+  assert.deepStrictEqual(TemplateImages.fitSize(plain, { width: 72 * 12700, height: 90 }, null, 5731510), { width: 914400, height: 90 });
+
+  assert.throws(() => TemplateImages.parseOptions([{ name: 'scale', args: ['2'] }]), /Unknown image option "scale"/);
+  assert.throws(() => TemplateImages.parseOptions([{ name: 'width', args: ['4 furlongs'] }]), /must be a size/);
+});
+
+test('images: fit into the text box or table cell, else shrink to the page text width', () => {
+  const image = TemplateImages.readValue(gifDataUrl(2000, 1000));
+
+  const textBox = TemplateImages.findBox('<wp:extent cx="1000000" cy="800000"/><wps:txbx><w:txbxContent><w:p><w:r><w:t>');
+  assert.deepStrictEqual(textBox, { width: 1000000 - 2 * 91440, height: 800000 - 2 * 45720 });
+  assert.deepStrictEqual(TemplateImages.fitSize(image, {}, textBox, 5731510), { width: 817120, height: 408560 });
+
+  const cell = TemplateImages.findBox('<w:tbl><w:tr><w:tc><w:tcPr><w:tcW w:w="1440" w:type="dxa"/></w:tcPr><w:p><w:r><w:t>');
+  assert.deepStrictEqual(cell, { width: 914400 - 2 * 68580, height: null });
+  assert.strictEqual(TemplateImages.findBox('<w:tbl><w:tr><w:tc><w:p/></w:tc></w:tr></w:tbl><w:p><w:r><w:t>'), null);
+
+  const a4 = '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr>';
+  assert.strictEqual(TemplateImages.getTextWidth(a4), (11906 - 2880) * 635);
+  assert.strictEqual(TemplateImages.getTextWidth(''), 6.5 * 914400);
+});
+
+test('images: render tags in the body and in table cells at their fitted sizes', async () => {
+  const cell = '<w:tbl><w:tr><w:tc><w:tcPr><w:tcW w:w="1440" w:type="dxa"/></w:tcPr>' + paragraph('{{%stamp}}') + '</w:tc></w:tr></w:tbl>';
+  const sectPr = '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr>';
+  const templatePath = writeTemp('images.docx', buildDocx(paragraph('Logo: {{%logo | width:2cm}}') + cell + paragraph('{{%banner}}') + sectPr));
+
+  const buffer = await DocxProcessor.renderTemplate(templatePath, {
+    logo: gifDataUrl(200, 100),
+    stamp: { data: gifOfSize(200, 100).toString('base64') },
+    banner: gifDataUrl(2000, 1000)
+  });
+  const zip = new PizZip(buffer);
+  const xml = zip.file('word/document.xml').asText();
+
+  const extents = [...xml.matchAll(/<wp:extent cx="(\d+)" cy="(\d+)"\/>/g)].map(match => [Number(match[1]), Number(match[2])]);
+  assert.deepStrictEqual(extents, [[720000, 360000], [777240, 388620], [5731510, 2865755]]);
+  assert.match(xml, /Logo: <\/w:t><w:drawing>/);
+  assert.ok(!xml.includes('{{%'));
+  assert.deepStrictEqual(zip.file(/^word\/media\//).map(file => file.name),
+    ['word/media/generated-image-1.gif', 'word/media/generated-image-2.gif', 'word/media/generated-image-3.gif']);
+  assert.match(zip.file('word/_rels/document.xml.rels').asText(), /Id="rIdImage1"[^>]*Target="media\/generated-image-1\.gif"/);
+  assert.match(zip.file('[Content_Types].xml').asText(), /<Default Extension="gif" ContentType="image\/gif"\/>/);
+});
+
+test('images: reject bad base64, other formats and image IDs that were not loaded', async () => {
+  assert.strictEqual(TemplateImages.checkValue(''), null);
+  assert.match(TemplateImages.checkValue('data:image/png;base64,!!!!'), /Not an image/);
+  assert.match(TemplateImages.checkValue({ data: Buffer.from('%PDF-1.4 not an image').toString('base64') }), /Images must be PNG, JPEG or GIF/);
+  assert.match(TemplateImages.checkValue('iVBORw0KGgo='), /Not an image/);
+  assert.strictEqual(TemplateImages.checkValue({ imageId: 'missing' }), 'Image missing was not loaded');
+
+  const templatePath = writeTemp('images-bad.docx', buildDocx(paragraph('{{%logo}}')));
+  await assert.rejects(DocxProcessor.renderTemplate(templatePath, { logo: { imageId: 'missing' } }), /was not loaded/);
+});
+
+// Table variables
+
+test('tables: compute subtotal, tax and total from formatted amounts', () => {
+  const { schema } = VariableValidator.normalizeSchema({ items: { type: 'table', taxRate: '18', taxLabel: 'GST' } }, ['items']);
+  const rows = [
+    { description: 'AMC', amount: '₹ 1,000/-' },
+    { description: 'Spares' },
+    { description: 'Visit', amount: 250.55 }
+  ];
+  const { values, errors } = VariableValidator.validate(schema, { items: rows, 'items.total': 1 });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(TableTotals.calculate('items', schema.items, rows), {
+    'items.subtotal': 1250.55,
+    'items.taxRate': 18,
+    'items.taxLabel': 'GST',
+    'items.tax': 225.1,
+    'items.total': 1475.65
+  });
+  assert.strictEqual(values['items.total'], 1475.65);
+});
+
+test('tables: accept JSON rows without tax and reject invalid rows and rates', () => {
+  const definition = { type: 'table', amountField: 'price' };
+  assert.deepStrictEqual(TableTotals.calculate('lines', definition, '[{"price":"10.25"},{"price":5}]'), {
+    'lines.subtotal': 15.25,
+    'lines.total': 15.25
+  });
+
+  assert.strictEqual(TableTotals.check(definition, [{ price: 'ten' }, { price: 1 }]), 'Row 1: "price" must be a number');
+  assert.strictEqual(TableTotals.check(definition, '[1, 2]'), 'Must be an array of row objects');
+  assert.strictEqual(TableTotals.check(definition, 'not json'), 'Must be an array of row objects');
+  assert.match(VariableValidator.normalizeSchema({ items: { type: 'table', taxRate: 120 } }, ['items']).errors[0].message,
+    /between 0 and 100/);
+});
+
+test('tables: repeat the styled template row and fill the total rows', async () => {
+  const cell = (text) => `<w:tc><w:tcPr><w:shd w:val="clear" w:fill="EEF3FF"/></w:tcPr>${paragraph(text)}</w:tc>`;
+  const table = '<w:tbl>' +
+    `<w:tr>${cell('{{#items}}{{description}}')}${cell('{{amount | currency:INR}}{{/items}}')}</w:tr>` +
+    `<w:tr>${cell('{{#items.tax}}{{items.taxLabel}} {{items.taxRate}}%')}${cell('{{items.tax | rupees}}{{/items.tax}}')}</w:tr>` +
+    `<w:tr>${cell('Total')}${cell('{{items.total | rupees}}')}</w:tr>` +
+    '</w:tbl>';
+  const templatePath = writeTemp('invoice.docx', buildDocx(table));
+  const render = async (definition, items) => {
+    const outputPath = path.join(tmpDir, 'invoice-out.docx');
+    const { values } = VariableValidator.validate({ items: definition }, { items });
+    await DocxProcessor.processTemplate(templatePath, values, outputPath);
+    const xml = new PizZip(fs.readFileSync(outputPath)).file('word/document.xml').asText();
+    const text = (row) => (row.match(/<w:t[^>]*>[^<]*/g) || []).map(part => part.replace(/<w:t[^>]*>/, '')).filter(Boolean).join(' ');
+    return { rows: (xml.match(/<w:tr>.*?<\/w:tr>/g) || []).map(text), shaded: (xml.match(/w:fill="EEF3FF"/g) || []).length };
+  };
+
+  const withTax = await render({ type: 'table', amountField: 'amount', taxRate: 18, taxLabel: 'GST' },
+    [{ description: 'AMC', amount: 1000 }, { description: 'Visit', amount: 500 }]);
+  assert.deepStrictEqual(withTax.rows, ['AMC ₹1,000.00', 'Visit ₹500.00', 'GST 18% 270/-', 'Total 1,770/-']);
+  assert.strictEqual(withTax.shaded, 8);
+
+  const withoutTax = await render({ type: 'table', amountField: 'amount' }, '[{"description":"AMC","amount":1000}]');
+  assert.deepStrictEqual(withoutTax.rows, ['AMC ₹1,000.00', 'Total 1,000/-']);
+});
+
+async function run() {
+  console.log('🧪 Testing utilities...\n');
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+  }
+
+  fs.removeSync(tmpDir);
+  console.log('');
+  console.log(failed > 0 ? `❌ ${failed} of ${tests.length} tests failed` : `🎉 All ${tests.length} tests passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { run };
@@ -10,44 +10,54 @@ class AdvancedPdfToWordConverter {
    * Convert PDF to Word with maximum formatting preservation
    * @param {string} inputPdfPath - Path to input PDF file
    * @param {string} outputDocxPath - Path for output DOCX file
+   * @param {Object} options - { signal, onMethod } to abort and to report the method being tried
    * @returns {Promise<string>} - Path to generated DOCX file
    */
-  static async convertPdfToWord(inputPdfPath, outputDocxPath) {
+  static async convertPdfToWord(inputPdfPath, outputDocxPath, options = {}) {
+    const { signal, onMethod = () => {} } = options;
     console.log('Starting advanced PDF to Word conversion...');
     
     // Method 1: Try LibreOffice with multiple conversion formats
     try {
       console.log('Attempting LibreOffice conversion with multiple formats...');
-      return await this.convertWithLibreOfficeAdvanced(inputPdfPath, outputDocxPath);
+      this.throwIfCancelled(signal);
+      return await this.convertWithLibreOfficeAdvanced(inputPdfPath, outputDocxPath, { signal, onMethod });
     } catch (error) {
+      this.throwIfCancelled(signal);
       console.log('LibreOffice conversion failed:', error.message);
     }
     
     // Method 2: Try pdf2docx with enhanced settings
     try {
       console.log('Attempting pdf2docx with enhanced settings...');
+      onMethod('pdf2docx');
       return await this.convertWithPdf2DocxAdvanced(inputPdfPath, outputDocxPath);
     } catch (error) {
+      this.throwIfCancelled(signal);
       console.log('pdf2docx conversion failed:', error.message);
     }
     
     // Method 3: Try using pdf-parse with enhanced text processing
     try {
       console.log('Attempting enhanced pdf-parse conversion...');
+      onMethod('pdf-parse-advanced');
       return await this.convertWithPdfParseAdvanced(inputPdfPath, outputDocxPath);
     } catch (error) {
+      this.throwIfCancelled(signal);
       console.log('Enhanced pdf-parse conversion failed:', error.message);
     }
     
     // Method 4: Fallback to basic text extraction
     console.log('Falling back to basic text extraction...');
+    onMethod('basic-text-extraction');
     return await this.convertWithBasicExtraction(inputPdfPath, outputDocxPath);
   }
 
   /**
    * Convert using LibreOffice with multiple advanced methods
    */
-  static async convertWithLibreOfficeAdvanced(inputPdfPath, outputDocxPath) {
+  static async convertWithLibreOfficeAdvanced(inputPdfPath, outputDocxPath, options = {}) {
+    const { signal, onMethod = () => {} } = options;
     const outputDir = path.dirname(outputDocxPath);
     
     // Try multiple LibreOffice conversion methods in order of preference
@@ -66,8 +76,9 @@ class AdvancedPdfToWordConverter {
       try {
         const command = conversionMethods[i];
         console.log(`Attempting LibreOffice method ${i + 1}:`, command);
+        onMethod(`libreoffice-method-${i + 1}`);
         
-        const { stdout, stderr } = await execAsync(command, { timeout: 180000 }); // 3 minutes timeout
+        const { stdout, stderr } = await execAsync(command, { timeout: 180000, signal }); // 3 minutes timeout
         
         if (stderr) {
           console.log('LibreOffice stderr:', stderr);
@@ -95,7 +106,7 @@ class AdvancedPdfToWordConverter {
         }
       } catch (error) {
         console.log(`LibreOffice method ${i + 1} failed:`, error.message);
-        if (i === conversionMethods.length - 1) {
+        if (i === conversionMethods.length - 1 || (signal && signal.aborted)) {
           throw error;
         }
       }
@@ -318,6 +329,15 @@ class AdvancedPdfToWordConverter {
             line === line.toUpperCase() || /^[A-Z]/.test(line));
   }
 
+  /**
+   * Throw if a conversion has been cancelled through its abort signal
+   */
+  static throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Conversion cancelled');
+    }
+  }
+
   /**
    * Check if LibreOffice is available
    */
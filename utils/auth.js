@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'nvk_';
+const ROLES = ['user', 'admin'];
+
+class Auth {
+  /**
+   * Supported user roles
+   * @returns {Array<string>} - Role names
+   */
+  static get roles() {
+    return ROLES;
+  }
+
+  /**
+   * Generate a new random API key
+   * @returns {string} - API key, shown to the user once
+   */
+  static generateApiKey() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Hash an API key for storage; only hashes are kept in the database
+   * @param {string} apiKey - API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Read the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+   * @param {Object} req - Express request
+   * @returns {string|null} - API key or null if none was sent
+   */
+  static getApiKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization && /^bearer\s+/i.test(authorization)) {
+      return authorization.replace(/^bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  /**
+   * Create middleware that resolves the caller from their API key and sets req.user
+   * @param {MetadataStore} store - Metadata store holding the users
+   * @param {Object} options - Middleware options
+   * @param {Array<string>} options.publicPaths - Paths (relative to the mount point) that skip authentication;
+   *   entries ending in "/" match every path below them
+   * @returns {Function} - Express middleware
+   */
+  static authenticate(store, options = {}) {
+    const publicPaths = options.publicPaths || [];
+
+    return (req, res, next) => {
+      if (publicPaths.some(publicPath => publicPath.endsWith('/') ? req.path.startsWith(publicPath) : req.path === publicPath)) {
+        return next();
+      }
+
+      const apiKey = this.getApiKey(req);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Authentication required. Send an API key in the Authorization or X-API-Key header' });
+      }
+
+      const user = store.findUserByApiKeyHash(this.hashApiKey(apiKey));
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+
+  /**
+   * Middleware that only lets admins through
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  static requireAdmin(req, res, next) {
+    if (!Auth.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  }
+
+  /**
+   * Check whether a user is an admin
+   * @param {Object} user - User
+   * @returns {boolean} - True for admins
+   */
+  static isAdmin(user) {
+    return Boolean(user && user.role === 'admin');
+  }
+}
+
+module.exports = Auth;
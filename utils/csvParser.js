@@ -0,0 +1,118 @@
+class CsvParser {
+  /**
+   * Parse CSV text into header names and row objects
+   * Supports quoted fields, escaped quotes ("") and line breaks inside quotes.
+   * @param {string} text - Raw CSV content
+   * @param {Object} options - Parser options
+   * @returns {Object} - Object containing headers and rows
+   */
+  static parse(text, options = {}) {
+    const { delimiter = ',' } = options;
+    const records = this.parseRecords(String(text || '').replace(/^﻿/, ''), delimiter);
+
+    if (records.length === 0) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = records[0].map(header => header.trim());
+    const rows = records.slice(1)
+      // Skip blank lines (a single empty field)
+      .filter(record => !(record.length === 1 && record[0].trim() === ''))
+      .map(record => {
+        const row = {};
+        headers.forEach((header, index) => {
+          if (header) {
+            row[header] = record[index] !== undefined ? record[index] : '';
+          }
+        });
+        return row;
+      });
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  /**
+   * Split CSV text into an array of records (arrays of field strings)
+   * @param {string} text - CSV content without BOM
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<Array<string>>} - Parsed records
+   */
+  static parseRecords(text, delimiter) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        // Treat \r\n as a single line break
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('Malformed CSV: unterminated quoted field');
+    }
+
+    // Flush the last record unless the file ended with a line break
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Build CSV text from header names and row objects
+   * Fields are quoted when needed, and values that spreadsheets would run as
+   * formulas (starting with =, +, -, @) are prefixed with a single quote.
+   * @param {Array<string>} headers - Column names, in order
+   * @param {Array<Object>} rows - Row objects keyed by header
+   * @returns {string} - CSV content with CRLF line breaks
+   */
+  static stringify(headers, rows) {
+    const escape = value => {
+      let field = value === undefined || value === null ? '' : String(value);
+      if (/^[=+\-@]/.test(field)) {
+        field = `'${field}`;
+      }
+      return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    };
+
+    return [headers, ...rows.map(row => headers.map(header => row[header]))]
+      .map(record => record.map(escape).join(','))
+      .join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = CsvParser;
@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+const PizZip = require('pizzip');
+const DocxProcessor = require('./docxProcessor');
+const PdfConverter = require('./pdfConverter');
+
+class DocumentGenerator {
+  /**
+   * Render a template with variables into a DOCX or PDF file
+   * @param {string} templatePath - Path to the template DOCX file
+   * @param {Object} variables - Variables to replace
+   * @param {string} format - Output format ("docx" or "pdf")
+   * @param {string} outputDir - Directory where the output is written
+   * @param {string} outputId - Identifier used to name the generated files
+   * @param {Object} options - { signal, onMethod } forwarded to the PDF conversion
+   * @returns {Promise<Object>} - Object containing fileName and outputPath
+   */
+  static async generate(templatePath, variables, format, outputDir, outputId, options = {}) {
+    let outputPath;
+    let fileName;
+
+    if (format === 'docx') {
+      fileName = `generated-${outputId}.docx`;
+      outputPath = path.join(outputDir, fileName);
+      console.log('Generating DOCX file at:', outputPath);
+      await DocxProcessor.processTemplate(templatePath, variables, outputPath);
+    } else if (format === 'pdf') {
+      // Render the DOCX with variables preserved (keeps tables/styles)
+      const intermediateDocx = path.join(outputDir, `intermediate-${outputId}.docx`);
+      console.log('Generating intermediate DOCX at:', intermediateDocx);
+      await DocxProcessor.processTemplate(templatePath, variables, intermediateDocx);
+
+      fileName = `generated-${outputId}.pdf`;
+      outputPath = path.join(outputDir, fileName);
+
+      // Use improved PDF conversion with multiple fallback options
+      console.log('Starting PDF conversion with multiple fallback options:', outputPath);
+      try {
+        await PdfConverter.convertDocxToPdfNative(intermediateDocx, outputPath, options);
+        console.log('PDF conversion completed successfully');
+      } catch (pdfErr) {
+        PdfConverter.throwIfCancelled(options.signal);
+        console.error('All PDF conversion methods failed:', pdfErr.message);
+        throw new Error(`PDF conversion failed: ${pdfErr.message}. Please ensure LibreOffice is installed for best results.`);
+      } finally {
+        // The intermediate DOCX is only needed for the conversion
+        await fs.remove(intermediateDocx).catch(console.error);
+      }
+    } else {
+      throw new Error('Unsupported format. Use "docx" or "pdf"');
+    }
+
+    // Verify file was created
+    if (!fs.existsSync(outputPath)) {
+      throw new Error('Generated file was not created');
+    }
+
+    const stats = fs.statSync(outputPath);
+    console.log('Generated file size:', stats.size);
+
+    if (stats.size === 0) {
+      throw new Error('Generated file is empty');
+    }
+
+    return { fileName, outputPath };
+  }
+
+  /**
+   * Render one document per row and bundle the outputs into a ZIP archive
+   * Rows are processed sequentially so LibreOffice is never run in parallel.
+   * A failing row is recorded in the results and does not stop the batch.
+   * @param {string} templatePath - Path to the template DOCX file
+   * @param {Array<Object>} rows - One variables object per document
+   * @param {string} format - Output format ("docx" or "pdf")
+   * @param {string} outputDir - Directory where the ZIP is written
+   * @param {string} batchId - Identifier used to name the batch files
+   * @param {Object} options - Batch options ({ entryBaseName, validateRow(row, index) })
+   * @returns {Promise<Object>} - Object containing zipFileName, zipPath and per-row results
+   */
+  static async generateBatch(templatePath, rows, format, outputDir, batchId, options = {}) {
+    const { entryBaseName = 'document', validateRow } = options;
+    const workDir = path.join(outputDir, `batch-${batchId}`);
+    await fs.ensureDir(workDir);
+
+    const zip = new PizZip();
+    const results = [];
+    const padLength = String(rows.length).length;
+
+    try {
+      for (let i = 0; i < rows.length; i++) {
+        const rowNumber = i + 1;
+        try {
+          let variables = rows[i];
+          if (validateRow) {
+            const { values, errors } = validateRow(variables, i);
+            if (errors.length > 0) {
+              results.push({ row: rowNumber, success: false, error: 'Validation failed', fieldErrors: errors });
+              continue;
+            }
+            variables = values;
+          }
+
+          const { outputPath } = await this.generate(templatePath, variables, format, workDir, `${batchId}-${rowNumber}`);
+          const entryName = `${String(rowNumber).padStart(padLength, '0')}-${entryBaseName}.${format}`;
+          zip.file(entryName, await fs.readFile(outputPath));
+          results.push({ row: rowNumber, success: true, fileName: entryName });
+        } catch (error) {
+          console.error(`Batch ${batchId} row ${rowNumber} failed:`, error.message);
+          results.push({ row: rowNumber, success: false, error: error.message });
+        }
+      }
+
+      zip.file('results.json', JSON.stringify({ batchId, format, results }, null, 2));
+
+      const zipFileName = `batch-${batchId}.zip`;
+      const zipPath = path.join(outputDir, zipFileName);
+      await fs.writeFile(zipPath, zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' }));
+
+      return { zipFileName, zipPath, results };
+    } finally {
+      // Individual outputs live on inside the ZIP only
+      await fs.remove(workDir).catch(console.error);
+    }
+  }
+
+  /**
+   * Check whether a format is supported by generate()
+   * @param {string} format - Requested output format
+   * @returns {boolean} - True if the format can be generated
+   */
+  static isSupportedFormat(format) {
+    return format === 'docx' || format === 'pdf';
+  }
+}
+
+module.exports = DocumentGenerator;
@@ -3,47 +3,34 @@ const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
 const fs = require('fs-extra');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
+const TemplateFilters = require('./templateFilters');
+const TemplateScanner = require('./templateScanner');
+const RichText = require('./richText');
+const TemplateImages = require('./templateImages');
 
 class DocxProcessor {
   /**
    * Extract text and variables from DOCX file
+   * Variables come from the OOXML of the body, headers, footers, footnotes, comments and
+   * text boxes, so tags Word split across runs are found; malformed tags become warnings.
+   * Image tags ("{{%logo}}") are listed in imageVariables rather than variables.
    * @param {string} filePath - Path to the DOCX file
-   * @returns {Object} - Object containing text and variables
+   * @returns {Object} - Object containing text, variables, imageVariables, structure, locations (per variable) and warnings
    */
   static async extractTextAndVariables(filePath) {
     try {
       const result = await mammoth.extractRawText({ path: filePath });
-      const text = result.value;
-
-      // Collect variables from main text + headers/footers
-      const variableRegex = /\{\{\s*([^}]+)\s*\}\}/g;
-      const variables = new Set();
-      let match;
-
-      // From body text
-      while ((match = variableRegex.exec(text)) !== null) {
-        variables.add(match[1].trim());
-      }
-
-      // From headers and footers (scan XML and strip tags first)
-      try {
-        const zip = new PizZip(await fs.readFile(filePath, 'binary'));
-        const headerFooterFiles = zip.file(/word\/(header\d+|footer\d+)\.xml/);
-        headerFooterFiles.forEach(f => {
-          const xml = f.asText();
-          const plain = xml.replace(/<[^>]+>/g, '');
-          let m;
-          while ((m = variableRegex.exec(plain)) !== null) {
-            variables.add(m[1].trim());
-          }
-        });
-      } catch (_) {
-        // Best-effort; ignore extraction errors here
-      }
+      const { tags, malformed } = TemplateScanner.scan(new PizZip(await fs.readFile(filePath)));
+      const { structure, variables, imageVariables, warnings } = this.parseStructure(tags.map(entry => entry.tag));
 
       return {
-        text: text,
-        variables: Array.from(variables),
+        text: result.value,
+        variables: variables,
+        imageVariables: imageVariables,
+        structure: structure,
+        locations: TemplateScanner.locations(tags),
+        malformedTags: malformed,
+        warnings: [...malformed.map(entry => TemplateScanner.describe(entry)), ...warnings],
         messages: result.messages
       };
     } catch (error) {
@@ -51,6 +38,90 @@ class DocxProcessor {
     }
   }
 
+  /**
+   * Build a structured variable schema from tags in document order
+   * "{{#name}}...{{/name}}" becomes a loop when it contains tags (array of objects),
+   * otherwise a condition (boolean). "{{^name}}" is always an inverted condition,
+   * "{{@name}}" a rich-text block and "{{%name}}" an image.
+   * @param {Array<string>} tags - Tag contents in document order (e.g. "name", "#items", "/items")
+   * @returns {Object} - Object containing structure (tree), variables and imageVariables (top-level names) and warnings
+   */
+  static parseStructure(tags) {
+    const root = { children: [] };
+    const stack = [root];
+    const warnings = [];
+
+    const addNode = (parent, node) => {
+      const existing = parent.children.find(child => child.name === node.name);
+      if (!existing) {
+        parent.children.push(node);
+        return node;
+      }
+      // Same name used twice at one level: keep one entry, preferring the richer kind
+      if (node.type !== 'text' && existing.type === 'text') {
+        existing.type = node.type;
+        existing.children = [];
+      }
+      if (existing.inverted && !node.inverted) {
+        delete existing.inverted;
+      }
+      return existing;
+    };
+
+    tags.forEach(tag => {
+      const prefix = tag.charAt(0);
+      const name = TemplateFilters.baseName(tag.slice(1));
+      const current = stack[stack.length - 1];
+
+      if (prefix === '#' || prefix === '^') {
+        const section = prefix === '^'
+          ? { name, type: 'condition', inverted: true, children: [] }
+          : { name, type: 'section', children: [] };
+        stack.push(addNode(current, section));
+      } else if (prefix === '/') {
+        const openIndex = stack.map(node => node.name).lastIndexOf(name);
+        if (openIndex <= 0) {
+          warnings.push(`Closing tag {{/${name}}} has no matching opening tag`);
+          return;
+        }
+        for (let i = stack.length - 1; i > openIndex; i--) {
+          warnings.push(`Section {{#${stack[i].name}}} is not closed before {{/${name}}}`);
+        }
+        stack.length = openIndex;
+      } else if (prefix === '@') {
+        addNode(current, { name, type: 'richtext' });
+      } else if (prefix === '%') {
+        addNode(current, { name, type: 'image' });
+      } else {
+        // Report only the base variable name; "{{ amount | currency:INR }}" is "amount"
+        addNode(current, { name: TemplateFilters.baseName(tag), type: 'text' });
+      }
+    });
+
+    for (let i = stack.length - 1; i > 0; i--) {
+      warnings.push(`Section {{#${stack[i].name}}} is never closed`);
+    }
+
+    // Sections with nested tags iterate over arrays; empty ones just toggle content
+    const finalize = (nodes) => nodes.map(node => {
+      if (node.type === 'text' || node.type === 'richtext' || node.type === 'image') {
+        return node;
+      }
+      const children = finalize(node.children);
+      const type = node.inverted ? 'condition' : (children.length > 0 ? 'loop' : 'condition');
+      return { ...node, type, children };
+    });
+
+    const structure = finalize(root.children);
+
+    return {
+      structure,
+      variables: structure.filter(node => node.type !== 'image').map(node => node.name),
+      imageVariables: structure.filter(node => node.type === 'image').map(node => node.name),
+      warnings
+    };
+  }
+
   /**
    * Replace variables in text content
    * @param {string} text - Original text content
@@ -349,15 +420,32 @@ class DocxProcessor {
    * @returns {string} - Path to generated file
    */
   static async processTemplate(templatePath, variables, outputPath) {
+    const buffer = await this.renderTemplate(templatePath, variables);
+    await fs.writeFile(outputPath, buffer);
+    return outputPath;
+  }
+
+  /**
+   * Fill a DOCX template in memory
+   * @param {string} templatePath - Path to template DOCX file
+   * @param {Object} variables - Variables to replace
+   * @param {Object} options - { formatValue(value, tag) } to change each text value after filters
+   * @returns {Promise<Buffer>} - Generated DOCX
+   */
+  static async renderTemplate(templatePath, variables, options = {}) {
+    const { formatValue } = options;
     try {
       // Read the existing DOCX so we can edit in-place and preserve formatting/tables
       const content = await fs.readFile(templatePath, 'binary');
 
       const zip = new PizZip(content);
-      const doc = new Docxtemplater(zip, {
-        paragraphLoop: true,
-        linebreaks: true,
-        delimiters: { start: '{{', end: '}}' }
+      // Lists in rich-text values need numbering definitions and images need relationships,
+      // both added once rendering is done
+      const numbering = RichText.createNumbering(zip);
+      const images = TemplateImages.createCollection(zip);
+      const doc = this.createDocxtemplater(zip, {
+        images,
+        parser: (tag, meta) => this.createTagParser(tag, meta, { formatValue, numbering })
       });
 
       // Ensure undefined variables don't break rendering
@@ -367,22 +455,136 @@ class DocxProcessor {
 
       // Use modern API: pass data directly to render
       doc.render(safeVariables);
+      RichText.writeNumbering(doc.getZip(), numbering);
+      TemplateImages.writeImages(doc.getZip(), images);
 
-      const buffer = doc.getZip().generate({ type: 'nodebuffer' });
-      await fs.writeFile(outputPath, buffer);
-      return outputPath;
+      return doc.getZip().generate({ type: 'nodebuffer' });
     } catch (error) {
       // Add more context from docxtemplater if available
       if (error && error.properties && error.properties.errors) {
-        const explanation = error.properties.errors
-          .map(e => `${e.properties && e.properties.explanation ? e.properties.explanation : e.message}`)
-          .join('; ');
+        const explanation = this.getTemplateErrors(error).map(e => e.message).join('; ');
         throw new Error(`Failed to process template: ${explanation}`);
       }
       throw new Error(`Failed to process template: ${error.message}`);
     }
   }
 
+  /**
+   * Create the docxtemplater instance used to render a template
+   * Compiling happens here, so tags docxtemplater rejects throw from this call.
+   * @param {Object} zip - PizZip instance of the template
+   * @param {Object} options - Extra docxtemplater options (e.g. errorLogging), and the
+   *   { images } collection from TemplateImages.createCollection() that image tags render into
+   * @returns {Docxtemplater} - Compiled template
+   */
+  static createDocxtemplater(zip, options = {}) {
+    const { images, ...docOptions } = options;
+    return new Docxtemplater(zip, {
+      paragraphLoop: true,
+      linebreaks: true,
+      delimiters: { start: '{{', end: '}}' },
+      modules: [TemplateImages.createModule(images || TemplateImages.createCollection(zip))],
+      parser: (tag, meta) => this.createTagParser(tag, meta),
+      ...docOptions
+    });
+  }
+
+  /**
+   * List the problems in a docxtemplater error
+   * @param {Error} error - Error thrown by docxtemplater (a multi error holds one per problem)
+   * @returns {Array<Object>} - { id, message, part, context } per problem
+   */
+  static getTemplateErrors(error) {
+    const errors = error.properties && error.properties.errors ? error.properties.errors : [error];
+    return errors.map(e => {
+      const properties = e.properties || {};
+      const explanation = properties.explanation || e.message;
+      // e.g. an unknown filter name reported by our tag parser
+      const rootError = properties.rootError;
+      return {
+        id: properties.id || null,
+        message: rootError ? `${explanation} (${rootError.message})` : explanation,
+        part: properties.file || null,
+        context: properties.context || null
+      };
+    });
+  }
+
+  /**
+   * Create a docxtemplater parser for a single tag
+   * Tag names are trimmed so "{{ name }}" resolves to the "name" variable, and
+   * filters such as "{{ amount | currency:INR }}" are applied to the value.
+   * Section values are normalized so form/CSV input such as "false" or a JSON array string behaves as expected.
+   * Rich-text tags ("{{@scope}}") turn an HTML or Markdown value into Word paragraphs.
+   * Image tags ("{{%logo | width:4cm}}") take size options instead of filters and get the raw value.
+   * @param {string} tag - Raw tag content
+   * @param {Object} meta - Parser metadata from docxtemplater
+   * @param {Object} options - { formatValue(value, tag) } applied to text values after filters, and
+   *   the { numbering } state from RichText.createNumbering() for rich-text lists
+   * @returns {Object} - Parser with a get(scope) method
+   */
+  static createTagParser(tag, meta, options = {}) {
+    const { formatValue, numbering } = options;
+    const { name, filters } = TemplateFilters.parseTag(tag);
+    const tagModule = meta && meta.tag ? meta.tag.module : null;
+    const isSection = tagModule === 'loop';
+    if (tagModule === 'image') {
+      TemplateImages.parseOptions(filters);
+    } else {
+      TemplateFilters.assertKnown(filters);
+    }
+    if (tagModule === 'rawxml' && filters.length > 0) {
+      throw new Error(`Filters cannot be used on the rich-text tag {{@${name}}}`);
+    }
+
+    return {
+      get: (scope) => {
+        const value = name === '.' ? scope : (scope ? scope[name] : undefined);
+        if (isSection) {
+          return this.normalizeSectionValue(value);
+        }
+        if (tagModule === 'image') {
+          return value;
+        }
+        if (tagModule === 'rawxml') {
+          return RichText.toWordML(value, numbering);
+        }
+        const result = TemplateFilters.apply(value, filters);
+        return formatValue ? formatValue(result, tag.trim()) : result;
+      }
+    };
+  }
+
+  /**
+   * Normalize the value of a section/loop variable
+   * @param {*} value - Value from the variables payload
+   * @returns {*} - Boolean, array, object or the original value
+   */
+  static normalizeSectionValue(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const trimmed = value.trim();
+    const lowered = trimmed.toLowerCase();
+
+    if (['', 'false', '0', 'no', 'off'].includes(lowered)) {
+      return false;
+    }
+    if (['true', '1', 'yes', 'on'].includes(lowered)) {
+      return true;
+    }
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (_) {
+        // Not JSON; fall through and use the raw string
+      }
+    }
+
+    return value;
+  }
+
   /**
    * Validate DOCX file
    * @param {string} filePath - Path to DOCX file
@@ -412,20 +614,15 @@ class DocxProcessor {
       const lineCount = text.split('\n').length;
       
       // Count variables
-      const variableRegex = /\{\{\s*([^}]+)\s*\}\}/g;
-      const variables = new Set();
-      let match;
-
-      while ((match = variableRegex.exec(text)) !== null) {
-        variables.add(match[1].trim());
-      }
+      const { tags } = TemplateScanner.scan(new PizZip(await fs.readFile(filePath)));
+      const { variables } = this.parseStructure(tags.map(entry => entry.tag));
 
       return {
         wordCount,
         characterCount,
         lineCount,
-        variableCount: variables.size,
-        variables: Array.from(variables)
+        variableCount: variables.length,
+        variables
       };
     } catch (error) {
       throw new Error(`Failed to get file stats: ${error.message}`);
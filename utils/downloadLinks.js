@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+class DownloadLinks {
+  /**
+   * Create a signer for download links
+   * @param {Object} options - Signer options
+   * @param {string} options.secret - HMAC secret; links signed with another secret are rejected
+   * @param {number} options.defaultTtl - Lifetime of a link in seconds when none is requested
+   * @param {number} options.maxTtl - Longest lifetime a link may be given, in seconds
+   * @param {string} options.basePath - Path the file name is appended to
+   */
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('A secret is required to sign download links');
+    }
+    this.secret = options.secret;
+    this.defaultTtl = options.defaultTtl || 3600;
+    this.maxTtl = options.maxTtl || 7 * 24 * 3600;
+    this.basePath = options.basePath || '/api/download';
+  }
+
+  /**
+   * Create a signed link to a file
+   * @param {string} fileName - File name in temp/
+   * @param {Object} options - Link options
+   * @param {number} options.expiresIn - Lifetime in seconds (capped at maxTtl)
+   * @param {boolean} options.singleUse - Whether the link works only once
+   * @param {string} options.userId - User the link is issued to, recorded with the download
+   * @returns {Object} - Object containing url, expiresAt and singleUse
+   */
+  sign(fileName, options = {}) {
+    const ttl = Math.min(options.expiresIn || this.defaultTtl, this.maxTtl);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const params = { expires: String(expires), uid: options.userId || '' };
+    if (options.singleUse) {
+      params.once = crypto.randomBytes(16).toString('hex');
+    }
+    params.sig = this.signature(fileName, params);
+
+    return {
+      url: `${this.basePath}/${encodeURIComponent(fileName)}?${new URLSearchParams(params)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+      singleUse: Boolean(options.singleUse)
+    };
+  }
+
+  /**
+   * Check the signature and expiry of a link
+   * Single-use links are only checked here; the caller records their use.
+   * @param {string} fileName - File name from the URL
+   * @param {Object} query - Query parameters from the URL
+   * @returns {Object} - { valid: true, userId, nonce, expiresAt } or { valid: false, status, error }
+   */
+  verify(fileName, query) {
+    const { expires, sig } = query;
+    if (typeof expires !== 'string' || typeof sig !== 'string') {
+      return { valid: false, status: 403, error: 'Download links must be signed. Request one with POST /api/download-links' };
+    }
+
+    const expected = Buffer.from(this.signature(fileName, query));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { valid: false, status: 403, error: 'Invalid download link signature' };
+    }
+
+    const expiresAt = parseInt(expires, 10) * 1000;
+    if (!(expiresAt > Date.now())) {
+      return { valid: false, status: 410, error: 'This download link has expired' };
+    }
+
+    return {
+      valid: true,
+      userId: query.uid || null,
+      nonce: typeof query.once === 'string' ? query.once : null,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Compute the signature over a file name and the link parameters
+   * @param {string} fileName - File name
+   * @param {Object} params - Link parameters (expires, uid, once)
+   * @returns {string} - Base64url HMAC-SHA256
+   */
+  signature(fileName, params) {
+    const parts = [fileName, params.expires, params.uid || '', params.once || ''].map(String);
+    return crypto.createHmac('sha256', this.secret).update(parts.join('\n')).digest('base64url');
+  }
+}
+
+module.exports = DownloadLinks;
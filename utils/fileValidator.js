@@ -0,0 +1,377 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { imageSize } = require('image-size');
+
+// Limits for ZIP containers; real documents stay far below them
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+// Highest overall compression ratio accepted once the content exceeds 10MB
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_CHECK_THRESHOLD = 10 * 1024 * 1024;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// Compound File Binary: legacy .doc files and password-protected Office files
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+class FileValidator {
+  /**
+   * Check that a file really is a Word document (DOCX) by its content
+   * Rejects encrypted and macro-enabled documents and ZIP bombs.
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<Object>} - { valid: true, format: 'docx' } or { valid: false, error }
+   */
+  static async validateDocx(filePath) {
+    const buffer = await fs.readFile(filePath);
+
+    if (this.isCfb(buffer)) {
+      return this.invalid(this.isEncryptedOffice(buffer)
+        ? 'Password-protected documents are not supported. Remove the password and upload again'
+        : 'This is a legacy Word (.doc) file, not a .docx document');
+    }
+
+    if (!this.isZip(buffer)) {
+      return this.invalid('The file is not a .docx document');
+    }
+
+    return this.checkZipDocument(buffer, 'docx');
+  }
+
+  /**
+   * Check that a file is a template in one of the accepted formats, telling them
+   * apart by content rather than by extension: DOCX, legacy Word (.doc),
+   * OpenDocument text (.odt) or RTF
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<Object>} - { valid: true, format } or { valid: false, error }
+   */
+  static async validateTemplate(filePath) {
+    const buffer = await fs.readFile(filePath);
+
+    if (this.isCfb(buffer)) {
+      return this.checkDoc(buffer);
+    }
+    if (buffer.toString('latin1', 0, 5) === '{\\rtf') {
+      return { valid: true, format: 'rtf' };
+    }
+    if (this.isZip(buffer)) {
+      return this.checkZipDocument(buffer);
+    }
+
+    return this.invalid('The file is not a Word document (.docx, .doc, .odt or .rtf)');
+  }
+
+  /**
+   * Check a ZIP-based document: DOCX, or OpenDocument text when it carries a mimetype entry
+   * @param {Buffer} buffer - File contents
+   * @param {string} expected - Only accept this format ('docx' or 'odt'), if given
+   * @returns {Object} - { valid: true, format } or { valid: false, error }
+   */
+  static checkZipDocument(buffer, expected) {
+    let entries;
+    let contents;
+    try {
+      entries = this.readZipEntries(buffer);
+    } catch (err) {
+      return this.invalid(`The file is not a valid ${expected ? `.${expected} ` : 'Word '}document: ${err.message}`);
+    }
+
+    const names = entries.map(entry => entry.name);
+    const format = expected || (names.includes('mimetype') && !names.includes('word/document.xml') ? 'odt' : 'docx');
+    const required = format === 'odt' ? ['mimetype', 'content.xml'] : ['[Content_Types].xml', 'word/document.xml'];
+    const missing = required.find(name => !names.includes(name));
+    if (missing) {
+      return this.invalid(`The file is not a .${format} document: ${missing} is missing`);
+    }
+
+    if (entries.some(entry => entry.encrypted)) {
+      return this.invalid('Encrypted archives are not supported');
+    }
+
+    const macroParts = format === 'odt'
+      // Basic modules and scripts; script-lc.xml/script-lb.xml only list (possibly empty) libraries
+      ? /^(Basic\/.+\/(?!script-lb\.xml$|dialog-lb\.xml$)[^/]+\.xml|Scripts\/.+[^/])$/
+      : /((^|\/)vbaProject\.bin|^word\/activeX\/.+)$/i;
+    if (names.some(name => macroParts.test(name))) {
+      return this.invalid(`Macro-enabled documents are not allowed. Save the document as a plain .${format} and upload again`);
+    }
+
+    try {
+      contents = this.inflateEntries(buffer, entries);
+    } catch (err) {
+      return this.invalid(`The file is not a valid .${format} document: ${err.message}`);
+    }
+
+    if (format === 'odt') {
+      if (contents.mimetype.toString('latin1').trim() !== 'application/vnd.oasis.opendocument.text') {
+        return this.invalid('The file is an OpenDocument file, but not a text document');
+      }
+      const manifest = contents['META-INF/manifest.xml'];
+      if (manifest && manifest.toString('utf8').includes('encryption-data')) {
+        return this.invalid('Password-protected documents are not supported. Remove the password and upload again');
+      }
+    } else if (/macroEnabled|vbaProject/i.test(contents['[Content_Types].xml'].toString('utf8'))) {
+      return this.invalid('Macro-enabled documents are not allowed. Save the document as a plain .docx and upload again');
+    }
+
+    return { valid: true, format };
+  }
+
+  /**
+   * Check a Compound File Binary that should hold a legacy Word document
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} - { valid: true, format: 'doc' } or { valid: false, error }
+   */
+  static checkDoc(buffer) {
+    // Password-protected DOCX files are stored as Compound File Binaries too
+    if (this.isEncryptedOffice(buffer)) {
+      return this.invalid('Password-protected documents are not supported. Remove the password and upload again');
+    }
+    if (!this.hasCfbStream(buffer, 'WordDocument')) {
+      return this.invalid('The file is not a Word document (.docx, .doc, .odt or .rtf)');
+    }
+    if (this.hasCfbStream(buffer, 'Macros') || this.hasCfbStream(buffer, '_VBA_PROJECT')) {
+      return this.invalid('Macro-enabled documents are not allowed. Save the document as a plain .doc and upload again');
+    }
+    return { valid: true, format: 'doc' };
+  }
+
+  /**
+   * Check that a file really is a PDF: header, startxref pointing at a cross-reference
+   * table or stream, and an end-of-file marker. Rejects encrypted PDFs, which
+   * LibreOffice cannot open.
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<Object>} - { valid: true } or { valid: false, error }
+   */
+  static async validatePdf(filePath) {
+    const buffer = await fs.readFile(filePath);
+
+    // The header may follow a little leading junk, but must be within the first 1024 bytes
+    const headerOffset = buffer.subarray(0, 1024).indexOf('%PDF-');
+    if (headerOffset === -1 || !/^%PDF-[12]\.\d/.test(buffer.toString('latin1', headerOffset, headerOffset + 8))) {
+      return this.invalid('The file is not a PDF document');
+    }
+
+    const tail = buffer.toString('latin1', Math.max(0, buffer.length - 2048));
+    if (!tail.includes('%%EOF')) {
+      return this.invalid('The PDF is incomplete: the end-of-file marker is missing');
+    }
+
+    const startxref = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/) || tail.match(/startxref\s+(\d+)/);
+    if (!startxref) {
+      return this.invalid('The PDF is damaged: startxref is missing');
+    }
+
+    // Offsets count from the header; tolerate the whitespace some writers leave before it
+    const xrefOffset = headerOffset + parseInt(startxref[1], 10);
+    const atXref = xrefOffset < buffer.length ? buffer.toString('latin1', xrefOffset, xrefOffset + 64).replace(/^\s+/, '') : '';
+    if (!/^xref\b/.test(atXref) && !/^\d+\s+\d+\s+obj\b/.test(atXref)) {
+      return this.invalid('The PDF is damaged: startxref does not point to a cross-reference table');
+    }
+
+    // The trailer (or cross-reference stream dictionary) names the encryption dictionary
+    const trailer = tail + buffer.toString('latin1', xrefOffset, Math.min(buffer.length, xrefOffset + 4096));
+    if (/\/Encrypt\b/.test(trailer)) {
+      return this.invalid('Encrypted PDFs are not supported. Remove the password and upload again');
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check that a file is a PNG, JPEG or GIF image Word can show
+   * @param {string} filePath - Path to the uploaded file
+   * @returns {Promise<Object>} - { valid: true, format: 'png', 'jpg' or 'gif', width, height } or { valid: false, error }
+   */
+  static async validateImage(filePath) {
+    let size;
+    try {
+      size = imageSize(await fs.readFile(filePath));
+    } catch (_) {
+      return this.invalid('The file is not a PNG, JPEG or GIF image');
+    }
+    if (!['png', 'jpg', 'gif'].includes(size.type)) {
+      return this.invalid('Only PNG, JPEG and GIF images are supported');
+    }
+    if (!size.width || !size.height) {
+      return this.invalid('The image has no width or height');
+    }
+    return { valid: true, format: size.type, width: size.width, height: size.height };
+  }
+
+  /**
+   * Make a client-supplied file name safe to store and show: no folders,
+   * control characters or characters that are invalid on common file systems
+   * @param {string} fileName - Original file name
+   * @param {string} fallback - Name used when nothing usable is left
+   * @returns {string} - Sanitized file name
+   */
+  static sanitizeFileName(fileName, fallback = 'document') {
+    const cleaned = path.basename(String(fileName || '').replace(/\\/g, '/'))
+      .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.]+|[\s.]+$/g, '')
+      .slice(0, 200);
+    return cleaned || fallback;
+  }
+
+  /**
+   * Read the entries of a ZIP archive from its central directory
+   * @param {Buffer} buffer - Archive contents
+   * @returns {Array<Object>} - Entries: { name, method, encrypted, compressedSize, uncompressedSize, localOffset }
+   */
+  static readZipEntries(buffer) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+      if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('the ZIP directory is missing');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    const directorySize = buffer.readUInt32LE(end + 12);
+    const directoryOffset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    if (count > MAX_ZIP_ENTRIES) {
+      throw new Error(`too many entries (${count})`);
+    }
+    if (directoryOffset + directorySize > end) {
+      throw new Error('the ZIP directory is damaged');
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > end || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+        throw new Error('the ZIP directory is damaged');
+      }
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (name.startsWith('/') || name.split(/[\\/]/).includes('..')) {
+        throw new Error(`unsafe entry name "${name}"`);
+      }
+
+      entries.push({
+        name,
+        method: buffer.readUInt16LE(offset + 10),
+        encrypted: (buffer.readUInt16LE(offset + 8) & 0x1) === 0x1,
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        uncompressedSize: buffer.readUInt32LE(offset + 24),
+        localOffset: buffer.readUInt32LE(offset + 42)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const totalSize = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+    if (totalSize > MAX_UNCOMPRESSED_BYTES) {
+      throw new Error(`the content is too large when unpacked (${totalSize} bytes)`);
+    }
+    if (totalSize > RATIO_CHECK_THRESHOLD && totalSize / buffer.length > MAX_COMPRESSION_RATIO) {
+      throw new Error('the archive is compressed suspiciously well (possible ZIP bomb)');
+    }
+
+    return entries;
+  }
+
+  /**
+   * Unpack every entry, never producing more than its declared size, so that
+   * archives lying about their sizes cannot expand past the limits
+   * @param {Buffer} buffer - Archive contents
+   * @param {Array<Object>} entries - Entries from readZipEntries
+   * @returns {Object} - Map of entry name to contents
+   */
+  static inflateEntries(buffer, entries) {
+    const contents = {};
+
+    entries.forEach(entry => {
+      const offset = entry.localOffset;
+      if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_LOCAL_HEADER) {
+        throw new Error(`entry "${entry.name}" is damaged`);
+      }
+      const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+      const data = buffer.subarray(start, start + entry.compressedSize);
+      if (data.length !== entry.compressedSize) {
+        throw new Error(`entry "${entry.name}" is truncated`);
+      }
+
+      let inflated;
+      if (entry.method === 0) {
+        inflated = data;
+      } else if (entry.method === 8) {
+        try {
+          inflated = zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.uncompressedSize, 1) });
+        } catch (err) {
+          throw new Error(`entry "${entry.name}" unpacks to more than its declared size (possible ZIP bomb)`);
+        }
+      } else {
+        throw new Error(`entry "${entry.name}" uses an unsupported compression method`);
+      }
+
+      if (inflated.length !== entry.uncompressedSize) {
+        throw new Error(`entry "${entry.name}" does not match its declared size`);
+      }
+      contents[entry.name] = inflated;
+    });
+
+    return contents;
+  }
+
+  /**
+   * Check whether a Compound File Binary holds an encrypted Office document
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} - True if the EncryptionInfo stream is present
+   */
+  static isEncryptedOffice(buffer) {
+    return this.hasCfbStream(buffer, 'EncryptionInfo');
+  }
+
+  /**
+   * Check whether a Compound File Binary has a stream or storage with a given name
+   * Directory entries hold their names in UTF-16, so the name is searched for as such.
+   * @param {Buffer} buffer - File contents
+   * @param {string} name - Stream or storage name
+   * @returns {boolean} - True if the name appears
+   */
+  static hasCfbStream(buffer, name) {
+    return buffer.indexOf(Buffer.from(`${name}\0`, 'utf16le')) !== -1;
+  }
+
+  /**
+   * Check whether a file starts with the Compound File Binary signature (.doc, .xls)
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} - True for CFB files
+   */
+  static isCfb(buffer) {
+    return buffer.subarray(0, CFB_SIGNATURE.length).equals(CFB_SIGNATURE);
+  }
+
+  /**
+   * Check whether a file starts with a ZIP local file header (.docx, .odt)
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} - True for ZIP files
+   */
+  static isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER;
+  }
+
+  /**
+   * Build the result of a failed check
+   * @param {string} error - Reason the file was rejected
+   * @returns {Object} - { valid: false, error }
+   */
+  static invalid(error) {
+    return { valid: false, error };
+  }
+}
+
+module.exports = FileValidator;
@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+class JobQueue {
+  /**
+   * In-memory job queue with bounded concurrency
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {number} options.maxFinishedJobs - Finished jobs kept for status lookups
+   */
+  constructor(options = {}) {
+    const { concurrency = 2, maxFinishedJobs = 500 } = options;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map();
+  }
+
+  /**
+   * Register the function that runs jobs of a given type
+   * The handler receives (payload, context) where context has
+   * { job, signal, setMethod } and resolves with the job result.
+   * @param {string} type - Job type
+   * @param {Function} handler - Async job handler
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Check whether a job type has a registered handler
+   * @param {string} type - Job type
+   * @returns {boolean} - True if the type can be submitted
+   */
+  hasHandler(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Queue a new job
+   * @param {string} type - Job type
+   * @param {Object} payload - Input passed to the handler
+   * @returns {Object} - The created job
+   */
+  submit(type, payload) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      payload,
+      status: JOB_STATUS.QUEUED,
+      method: null,
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} - The job, if known
+   */
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job ID
+   * @returns {Object} - The cancelled job
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pending = this.pending.filter(id => id !== jobId);
+      this.finish(job, JOB_STATUS.CANCELLED);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      // The handler sees the aborted signal; the job is marked cancelled when it settles
+      job.cancelRequested = true;
+      this.running.get(jobId).abort();
+    } else {
+      throw new Error(`Cannot cancel a job that is ${job.status}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Re-queue a failed or cancelled job with its original payload
+   * @param {string} jobId - Job ID
+   * @returns {Object} - The re-queued job
+   */
+  retry(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.status !== JOB_STATUS.FAILED && job.status !== JOB_STATUS.CANCELLED) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    job.status = JOB_STATUS.QUEUED;
+    job.method = null;
+    job.result = null;
+    job.error = null;
+    job.startedAt = null;
+    job.finishedAt = null;
+    delete job.cancelRequested;
+
+    this.pending.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {Object} job - Job to run
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+
+    const context = {
+      job,
+      signal: controller.signal,
+      setMethod: (method) => {
+        job.method = method;
+      }
+    };
+
+    try {
+      const result = await this.handlers.get(job.type)(job.payload, context);
+      if (job.cancelRequested) {
+        this.finish(job, JOB_STATUS.CANCELLED);
+      } else {
+        job.result = result;
+        this.finish(job, JOB_STATUS.COMPLETED);
+      }
+    } catch (error) {
+      if (job.cancelRequested) {
+        this.finish(job, JOB_STATUS.CANCELLED);
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        job.error = error.message;
+        this.finish(job, JOB_STATUS.FAILED);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * Mark a job as finished and prune old finished jobs
+   * @param {Object} job - Job to finish
+   * @param {string} status - Final status
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+
+    const finished = Array.from(this.jobs.values()).filter(j => j.finishedAt);
+    for (let i = 0; i < finished.length - this.maxFinishedJobs; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+}
+
+JobQueue.STATUS = JOB_STATUS;
+
+module.exports = JobQueue;
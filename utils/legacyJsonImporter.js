@@ -0,0 +1,96 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Storage = require('./storage');
+
+// Name under which the import is recorded, so it only ever runs once
+const IMPORT_NAME = 'legacy-json-data';
+
+class LegacyJsonImporter {
+  /**
+   * Import data/templates.json, pdfs.json and generated.json into the metadata store
+   * Runs once; later calls return null. The JSON files are left in place as a backup.
+   * @param {MetadataStore} store - Metadata store
+   * @param {string} dataDir - Directory holding the JSON files
+   * @param {string} rootDir - Backend directory, used to turn stored paths into storage keys
+   * @returns {Object|null} - Counts of imported records, or null if already imported
+   */
+  static run(store, dataDir, rootDir) {
+    if (store.hasImported(IMPORT_NAME)) {
+      return null;
+    }
+
+    const counts = store.importRecords(IMPORT_NAME, {
+      templates: this.readTemplates(path.join(dataDir, 'templates.json'), rootDir),
+      pdfs: this.readPdfs(path.join(dataDir, 'pdfs.json'), rootDir),
+      generatedDocuments: this.readArray(path.join(dataDir, 'generated.json'))
+    });
+    console.log(`Imported ${counts.templates} templates, ${counts.pdfs} PDF records and ${counts.generatedDocuments} generated document records from JSON`);
+    return counts;
+  }
+
+  /**
+   * Read a JSON array file
+   * @param {string} filePath - JSON file
+   * @returns {Array<Object>} - Records, or an empty array if the file is missing
+   */
+  static readArray(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    const arr = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(arr) ? arr : [];
+  }
+
+  /**
+   * Read and normalize template records; older records lack structure, schema and versions
+   * The full originalText is dropped, it is re-extracted from the file when needed.
+   * @param {string} filePath - templates.json path
+   * @param {string} rootDir - Backend directory
+   * @returns {Array<Object>} - Templates
+   */
+  static readTemplates(filePath, rootDir) {
+    return this.readArray(filePath).map((t) => {
+      const variables = Array.isArray(t.variables) ? t.variables : [];
+      const normalized = {
+        id: t.id,
+        name: t.name || '',
+        originalFile: Storage.toKey(t.originalFile, rootDir),
+        variables: variables,
+        // structured schema (sections/loops); older records only know flat variables
+        structure: Array.isArray(t.structure) ? t.structure : variables.map(name => ({ name, type: 'text' })),
+        createdAt: t.createdAt || new Date().toISOString(),
+        savedValues: t.savedValues && typeof t.savedValues === 'object' ? t.savedValues : {},
+        schema: t.schema && typeof t.schema === 'object' ? t.schema : {},
+        version: t.version || 1
+      };
+      // older records become version 1
+      normalized.versions = Array.isArray(t.versions) && t.versions.length > 0
+        ? t.versions.map(v => ({ ...v, originalFile: Storage.toKey(v.originalFile, rootDir) }))
+        : [{
+          version: 1,
+          originalFile: normalized.originalFile,
+          variables: normalized.variables,
+          structure: normalized.structure,
+          createdAt: normalized.createdAt
+        }];
+      return normalized;
+    });
+  }
+
+  /**
+   * Read and normalize uploaded PDF records
+   * @param {string} filePath - pdfs.json path
+   * @param {string} rootDir - Backend directory
+   * @returns {Array<Object>} - PDF records
+   */
+  static readPdfs(filePath, rootDir) {
+    return this.readArray(filePath).map((p) => ({
+      id: p.id,
+      originalFile: Storage.toKey(p.originalFile, rootDir),
+      originalName: p.originalName || path.basename(String(p.originalFile || '').replace(/\\/g, '/')),
+      createdAt: p.createdAt || new Date().toISOString()
+    }));
+  }
+}
+
+module.exports = LegacyJsonImporter;
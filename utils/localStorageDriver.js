@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class LocalStorageDriver {
+  /**
+   * Store files on the local filesystem under a root directory
+   * Keys are relative paths such as "uploads/<id>.docx" so records stay portable.
+   * @param {Object} options - Driver options
+   * @param {string} options.rootDir - Directory keys are resolved against
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir);
+  }
+
+  /**
+   * Resolve a key to an absolute path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a local file under a key (moves it unless it is already in place)
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - Local file to store
+   * @returns {Promise<string>} - The storage key
+   */
+  async put(key, sourcePath) {
+    const destination = this.resolve(key);
+    if (path.resolve(sourcePath) !== destination) {
+      await fs.move(sourcePath, destination, { overwrite: true });
+    }
+    return key;
+  }
+
+  /**
+   * Get a local path for a key that tools like LibreOffice can read
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} - Absolute file path
+   */
+  async getLocalPath(key) {
+    return this.resolve(key);
+  }
+
+  /**
+   * Check whether a key exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if the file exists
+   */
+  async exists(key) {
+    return fs.pathExists(this.resolve(key));
+  }
+
+  /**
+   * Get size and modification time for a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - Object containing size and modified
+   */
+  async stat(key) {
+    const stats = await fs.stat(this.resolve(key));
+    return { size: stats.size, modified: stats.mtime };
+  }
+
+  /**
+   * Open a read stream for a key
+   * @param {string} key - Storage key
+   * @returns {Promise<stream.Readable>} - File stream
+   */
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Remove a key (missing keys are ignored)
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await fs.remove(this.resolve(key));
+  }
+
+  /**
+   * List the keys directly under a prefix
+   * @param {string} prefix - Key prefix such as "uploads"
+   * @returns {Promise<Array<string>>} - Keys
+   */
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => `${prefix.replace(/\/+$/, '')}/${entry.name}`);
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,1018 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema changes are applied in order and recorded in schema_migrations.
+// Never edit a released migration; add a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up: `
+      CREATE TABLE templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL DEFAULT '',
+        original_file TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '[]',
+        structure TEXT NOT NULL DEFAULT '[]',
+        schema TEXT NOT NULL DEFAULT '{}',
+        saved_values TEXT NOT NULL DEFAULT '{}',
+        version INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE template_versions (
+        template_id TEXT NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        original_file TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '[]',
+        structure TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (template_id, version)
+      );
+
+      CREATE TABLE pdfs (
+        id TEXT PRIMARY KEY,
+        original_file TEXT NOT NULL,
+        original_name TEXT NOT NULL DEFAULT '',
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE generated_documents (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        template_id TEXT,
+        template_name TEXT NOT NULL DEFAULT '',
+        template_version INTEGER,
+        format TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        download_url TEXT NOT NULL,
+        variables TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_generated_documents_template ON generated_documents (template_id, created_at);
+
+      CREATE TABLE imports (
+        name TEXT PRIMARY KEY,
+        imported_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'users-and-owners',
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        api_key_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL
+      );
+
+      ALTER TABLE templates ADD COLUMN owner_id TEXT;
+      ALTER TABLE pdfs ADD COLUMN owner_id TEXT;
+      ALTER TABLE generated_documents ADD COLUMN owner_id TEXT;
+      CREATE INDEX idx_templates_owner ON templates (owner_id);
+      CREATE INDEX idx_pdfs_owner ON pdfs (owner_id);
+      CREATE INDEX idx_generated_documents_owner ON generated_documents (owner_id);
+    `
+  },
+  {
+    version: 3,
+    name: 'workspaces',
+    up: `
+      CREATE TABLE workspaces (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE workspace_members (
+        workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (workspace_id, user_id)
+      );
+
+      CREATE TABLE template_shares (
+        template_id TEXT NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (template_id, workspace_id)
+      );
+      CREATE INDEX idx_template_shares_workspace ON template_shares (workspace_id);
+
+      ALTER TABLE templates ADD COLUMN workspace_id TEXT;
+      ALTER TABLE pdfs ADD COLUMN workspace_id TEXT;
+      ALTER TABLE generated_documents ADD COLUMN workspace_id TEXT;
+
+      -- Existing records keep their visibility: each user gets a personal workspace
+      -- holding what they own, and unowned (imported) records go to the default workspace
+      INSERT INTO workspaces (id, name, created_at)
+        VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+      INSERT INTO workspaces (id, name, created_at)
+        SELECT 'personal-' || id, name || '''s workspace', created_at FROM users;
+      INSERT INTO workspace_members (workspace_id, user_id, role, created_at)
+        SELECT 'personal-' || id, id, 'admin', created_at FROM users;
+      UPDATE templates SET workspace_id = COALESCE('personal-' || owner_id, 'default');
+      UPDATE pdfs SET workspace_id = COALESCE('personal-' || owner_id, 'default');
+      UPDATE generated_documents SET workspace_id = COALESCE('personal-' || owner_id, 'default');
+
+      CREATE INDEX idx_templates_workspace ON templates (workspace_id);
+      CREATE INDEX idx_pdfs_workspace ON pdfs (workspace_id);
+      CREATE INDEX idx_generated_documents_workspace ON generated_documents (workspace_id, created_at);
+    `
+  },
+  {
+    version: 4,
+    name: 'audit-log',
+    up: `
+      -- No foreign keys: events must outlive the records they describe
+      CREATE TABLE audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        user_id TEXT,
+        user_name TEXT NOT NULL DEFAULT '',
+        workspace_id TEXT,
+        template_id TEXT,
+        pdf_id TEXT,
+        document_id TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_events_created ON audit_events (created_at);
+      CREATE INDEX idx_audit_events_template ON audit_events (template_id, created_at);
+      CREATE INDEX idx_audit_events_user ON audit_events (user_id, created_at);
+      CREATE INDEX idx_audit_events_workspace ON audit_events (workspace_id, created_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'used-download-links',
+    up: `
+      CREATE TABLE used_download_links (
+        nonce TEXT PRIMARY KEY,
+        file_name TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_used_download_links_expires ON used_download_links (expires_at);
+    `
+  },
+  {
+    version: 6,
+    name: 'template-source-files',
+    up: `
+      -- Original .doc/.odt/.rtf upload a version was converted from; NULL for DOCX uploads
+      ALTER TABLE template_versions ADD COLUMN source_file TEXT;
+    `
+  },
+  {
+    version: 7,
+    name: 'images',
+    up: `
+      -- Uploaded images that image tags ({{%logo}}) refer to by ID
+      CREATE TABLE images (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT,
+        owner_id TEXT,
+        original_file TEXT NOT NULL,
+        original_name TEXT NOT NULL DEFAULT '',
+        content_type TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_images_workspace ON images (workspace_id);
+    `
+  }
+];
+
+// Workspace that holds records without an owner, such as imported JSON data
+const DEFAULT_WORKSPACE_ID = 'default';
+
+class MetadataStore {
+  /**
+   * ID of the workspace that holds records without an owner
+   * @returns {string} - Workspace ID
+   */
+  static get DEFAULT_WORKSPACE_ID() {
+    return DEFAULT_WORKSPACE_ID;
+  }
+
+  /**
+   * Open (or create) the SQLite metadata database and apply pending migrations
+   * @param {string} dbPath - Path to the database file, or ':memory:'
+   */
+  constructor(dbPath) {
+    if (dbPath !== ':memory:') {
+      fs.ensureDirSync(path.dirname(dbPath));
+    }
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  /**
+   * Apply migrations that have not run yet
+   * @returns {Array<number>} - Versions that were applied
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const pending = MIGRATIONS.filter(migration => !applied.has(migration.version));
+
+    pending.forEach(migration => {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(`Applied database migration ${migration.version} (${migration.name})`);
+    });
+
+    return pending.map(migration => migration.version);
+  }
+
+  /**
+   * Get the highest applied migration version
+   * @returns {number} - Schema version
+   */
+  getSchemaVersion() {
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+
+  // Templates
+
+  /**
+   * Get a template with its version history
+   * @param {string} id - Template ID
+   * @returns {Object|null} - Template or null if not found
+   */
+  getTemplate(id) {
+    const row = this.db.prepare('SELECT * FROM templates WHERE id = ?').get(id);
+    return row ? this.toTemplate(row) : null;
+  }
+
+  /**
+   * List templates, oldest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.workspaceId - Only templates of this workspace, plus templates shared with it
+   * @returns {Array<Object>} - Templates; shared ones are marked with shared: true
+   */
+  listTemplates(filters = {}) {
+    if (!filters.workspaceId) {
+      return this.db.prepare('SELECT * FROM templates ORDER BY created_at, rowid').all().map(row => this.toTemplate(row));
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM templates
+      WHERE workspace_id = @workspaceId
+        OR id IN (SELECT template_id FROM template_shares WHERE workspace_id = @workspaceId)
+      ORDER BY created_at, rowid
+    `).all({ workspaceId: filters.workspaceId }).map(row => ({
+      ...this.toTemplate(row),
+      shared: row.workspace_id !== filters.workspaceId
+    }));
+  }
+
+  /**
+   * Count templates
+   * @returns {number} - Number of templates
+   */
+  countTemplates() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM templates').get().count;
+  }
+
+  /**
+   * Insert or update a template and its versions
+   * @param {Object} template - Template object as used by the API
+   * @returns {Object} - The saved template
+   */
+  saveTemplate(template) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO templates (id, name, workspace_id, owner_id, original_file, variables, structure, schema, saved_values, version, created_at)
+        VALUES (@id, @name, @workspaceId, @ownerId, @originalFile, @variables, @structure, @schema, @savedValues, @version, @createdAt)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          original_file = excluded.original_file,
+          variables = excluded.variables,
+          structure = excluded.structure,
+          schema = excluded.schema,
+          saved_values = excluded.saved_values,
+          version = excluded.version
+      `).run({
+        id: template.id,
+        name: template.name || '',
+        workspaceId: template.workspaceId || DEFAULT_WORKSPACE_ID,
+        ownerId: template.ownerId || null,
+        originalFile: template.originalFile,
+        variables: JSON.stringify(template.variables || []),
+        structure: JSON.stringify(template.structure || []),
+        schema: JSON.stringify(template.schema || {}),
+        savedValues: JSON.stringify(template.savedValues || {}),
+        version: template.version || 1,
+        createdAt: template.createdAt || new Date().toISOString()
+      });
+
+      this.db.prepare('DELETE FROM template_versions WHERE template_id = ?').run(template.id);
+      const insertVersion = this.db.prepare(`
+        INSERT INTO template_versions (template_id, version, original_file, source_file, variables, structure, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      (template.versions || []).forEach(entry => {
+        insertVersion.run(
+          template.id,
+          entry.version,
+          entry.originalFile,
+          entry.sourceFile || null,
+          JSON.stringify(entry.variables || []),
+          JSON.stringify(entry.structure || []),
+          entry.createdAt || new Date().toISOString()
+        );
+      });
+    })();
+
+    return template;
+  }
+
+  /**
+   * Delete a template and its versions
+   * @param {string} id - Template ID
+   * @returns {boolean} - True if a template was deleted
+   */
+  deleteTemplate(id) {
+    return this.db.prepare('DELETE FROM templates WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Convert a template row (plus its versions) to an API object
+   * @param {Object} row - templates row
+   * @returns {Object} - Template
+   */
+  toTemplate(row) {
+    const versions = this.db.prepare('SELECT * FROM template_versions WHERE template_id = ? ORDER BY version').all(row.id)
+      .map(entry => ({
+        version: entry.version,
+        originalFile: entry.original_file,
+        sourceFile: entry.source_file,
+        variables: JSON.parse(entry.variables),
+        structure: JSON.parse(entry.structure),
+        createdAt: entry.created_at
+      }));
+
+    return {
+      id: row.id,
+      name: row.name,
+      workspaceId: row.workspace_id,
+      ownerId: row.owner_id,
+      originalFile: row.original_file,
+      variables: JSON.parse(row.variables),
+      structure: JSON.parse(row.structure),
+      createdAt: row.created_at,
+      savedValues: JSON.parse(row.saved_values),
+      schema: JSON.parse(row.schema),
+      version: row.version,
+      versions
+    };
+  }
+
+  // Uploaded PDFs
+
+  /**
+   * Get an uploaded PDF record
+   * @param {string} id - PDF file ID
+   * @returns {Object|null} - PDF record or null if not found
+   */
+  getPdf(id) {
+    const row = this.db.prepare('SELECT * FROM pdfs WHERE id = ?').get(id);
+    return row ? this.toPdf(row) : null;
+  }
+
+  /**
+   * List uploaded PDF records, oldest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.workspaceId - Only PDFs of this workspace
+   * @returns {Array<Object>} - PDF records
+   */
+  listPdfs(filters = {}) {
+    const rows = filters.workspaceId
+      ? this.db.prepare('SELECT * FROM pdfs WHERE workspace_id = ? ORDER BY created_at, rowid').all(filters.workspaceId)
+      : this.db.prepare('SELECT * FROM pdfs ORDER BY created_at, rowid').all();
+    return rows.map(row => this.toPdf(row));
+  }
+
+  /**
+   * Insert or update an uploaded PDF record
+   * @param {Object} pdf - PDF record
+   * @returns {Object} - The saved record
+   */
+  savePdf(pdf) {
+    this.db.prepare(`
+      INSERT INTO pdfs (id, workspace_id, owner_id, original_file, original_name, created_at)
+      VALUES (@id, @workspaceId, @ownerId, @originalFile, @originalName, @createdAt)
+      ON CONFLICT(id) DO UPDATE SET
+        original_file = excluded.original_file,
+        original_name = excluded.original_name
+    `).run({
+      id: pdf.id,
+      workspaceId: pdf.workspaceId || DEFAULT_WORKSPACE_ID,
+      ownerId: pdf.ownerId || null,
+      originalFile: pdf.originalFile,
+      originalName: pdf.originalName || '',
+      createdAt: pdf.createdAt || new Date().toISOString()
+    });
+    return pdf;
+  }
+
+  /**
+   * Delete an uploaded PDF record
+   * @param {string} id - PDF file ID
+   * @returns {boolean} - True if a record was deleted
+   */
+  deletePdf(id) {
+    return this.db.prepare('DELETE FROM pdfs WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Convert a pdfs row to an API object
+   * @param {Object} row - pdfs row
+   * @returns {Object} - PDF record
+   */
+  toPdf(row) {
+    return {
+      id: row.id,
+      workspaceId: row.workspace_id,
+      ownerId: row.owner_id,
+      originalFile: row.original_file,
+      originalName: row.original_name,
+      createdAt: row.created_at
+    };
+  }
+
+  // Uploaded images
+
+  /**
+   * Get an uploaded image record
+   * @param {string} id - Image ID
+   * @returns {Object|null} - Image record or null if not found
+   */
+  getImage(id) {
+    const row = this.db.prepare('SELECT * FROM images WHERE id = ?').get(id);
+    return row ? this.toImage(row) : null;
+  }
+
+  /**
+   * List uploaded image records, oldest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.workspaceId - Only images of this workspace
+   * @returns {Array<Object>} - Image records
+   */
+  listImages(filters = {}) {
+    const rows = filters.workspaceId
+      ? this.db.prepare('SELECT * FROM images WHERE workspace_id = ? ORDER BY created_at, rowid').all(filters.workspaceId)
+      : this.db.prepare('SELECT * FROM images ORDER BY created_at, rowid').all();
+    return rows.map(row => this.toImage(row));
+  }
+
+  /**
+   * Insert an uploaded image record
+   * @param {Object} image - Image record
+   * @returns {Object} - The saved record
+   */
+  saveImage(image) {
+    this.db.prepare(`
+      INSERT INTO images (id, workspace_id, owner_id, original_file, original_name, content_type, width, height, created_at)
+      VALUES (@id, @workspaceId, @ownerId, @originalFile, @originalName, @contentType, @width, @height, @createdAt)
+    `).run({
+      id: image.id,
+      workspaceId: image.workspaceId || DEFAULT_WORKSPACE_ID,
+      ownerId: image.ownerId || null,
+      originalFile: image.originalFile,
+      originalName: image.originalName || '',
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      createdAt: image.createdAt || new Date().toISOString()
+    });
+    return image;
+  }
+
+  /**
+   * Delete an uploaded image record
+   * @param {string} id - Image ID
+   * @returns {boolean} - True if a record was deleted
+   */
+  deleteImage(id) {
+    return this.db.prepare('DELETE FROM images WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Convert an images row to an API object
+   * @param {Object} row - images row
+   * @returns {Object} - Image record
+   */
+  toImage(row) {
+    return {
+      id: row.id,
+      workspaceId: row.workspace_id,
+      ownerId: row.owner_id,
+      originalFile: row.original_file,
+      originalName: row.original_name,
+      contentType: row.content_type,
+      width: row.width,
+      height: row.height,
+      createdAt: row.created_at
+    };
+  }
+
+  // Generated documents
+
+  /**
+   * Get a generated document record
+   * @param {string} id - Document ID
+   * @returns {Object|null} - Record or null if not found
+   */
+  getGeneratedDocument(id) {
+    const row = this.db.prepare('SELECT * FROM generated_documents WHERE id = ?').get(id);
+    return row ? this.toGeneratedDocument(row) : null;
+  }
+
+  /**
+   * Find the generated document record that produced an output file
+   * @param {string} fileName - Output file name
+   * @returns {Object|null} - Record or null if not found
+   */
+  findGeneratedDocumentByFileName(fileName) {
+    const row = this.db.prepare('SELECT * FROM generated_documents WHERE file_name = ?').get(fileName);
+    return row ? this.toGeneratedDocument(row) : null;
+  }
+
+  /**
+   * List generated document records, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.templateId - Only documents generated from this template
+   * @param {string} filters.workspaceId - Only documents generated in this workspace
+   * @returns {Array<Object>} - Records
+   */
+  listGeneratedDocuments(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.templateId) {
+      conditions.push('template_id = ?');
+      params.push(filters.templateId);
+    }
+    if (filters.workspaceId) {
+      conditions.push('workspace_id = ?');
+      params.push(filters.workspaceId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM generated_documents ${where} ORDER BY created_at DESC`).all(...params)
+      .map(row => this.toGeneratedDocument(row));
+  }
+
+  /**
+   * Insert or replace a generated document record
+   * @param {Object} record - Generated document record
+   * @returns {Object} - The saved record
+   */
+  saveGeneratedDocument(record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO generated_documents
+        (id, type, workspace_id, owner_id, template_id, template_name, template_version, format, file_name, download_url, variables, created_at)
+      VALUES
+        (@id, @type, @workspaceId, @ownerId, @templateId, @templateName, @templateVersion, @format, @fileName, @downloadUrl, @variables, @createdAt)
+    `).run({
+      id: record.id,
+      type: record.type,
+      workspaceId: record.workspaceId || DEFAULT_WORKSPACE_ID,
+      ownerId: record.ownerId || null,
+      templateId: record.templateId || null,
+      templateName: record.templateName || '',
+      templateVersion: record.templateVersion || null,
+      format: record.format,
+      fileName: record.fileName,
+      downloadUrl: record.downloadUrl,
+      variables: JSON.stringify(record.variables === undefined ? {} : record.variables),
+      createdAt: record.createdAt || new Date().toISOString()
+    });
+    return record;
+  }
+
+  /**
+   * Convert a generated_documents row to an API object
+   * @param {Object} row - generated_documents row
+   * @returns {Object} - Generated document record
+   */
+  toGeneratedDocument(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      workspaceId: row.workspace_id,
+      ownerId: row.owner_id,
+      templateId: row.template_id,
+      templateName: row.template_name,
+      templateVersion: row.template_version,
+      format: row.format,
+      fileName: row.file_name,
+      downloadUrl: row.download_url,
+      variables: JSON.parse(row.variables),
+      createdAt: row.created_at
+    };
+  }
+
+  // Users
+
+  /**
+   * Create a user along with a personal workspace they administer
+   * @param {Object} user - User containing id, name, role and apiKeyHash
+   * @returns {Object} - The created user (without the key hash)
+   */
+  createUser(user) {
+    const createdAt = new Date().toISOString();
+    const workspaceId = `personal-${user.id}`;
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO users (id, name, role, api_key_hash, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(user.id, user.name, user.role, user.apiKeyHash, createdAt);
+      this.db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)')
+        .run(workspaceId, `${user.name}'s workspace`, createdAt);
+      this.db.prepare('INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)')
+        .run(workspaceId, user.id, 'admin', createdAt);
+    })();
+
+    return this.getUser(user.id);
+  }
+
+  /**
+   * Get a user by ID
+   * @param {string} id - User ID
+   * @returns {Object|null} - User or null if not found
+   */
+  getUser(id) {
+    const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    return row ? this.toUser(row) : null;
+  }
+
+  /**
+   * Find the user an API key belongs to
+   * @param {string} apiKeyHash - SHA-256 hash of the API key
+   * @returns {Object|null} - User or null if the key is unknown
+   */
+  findUserByApiKeyHash(apiKeyHash) {
+    const row = this.db.prepare('SELECT * FROM users WHERE api_key_hash = ?').get(apiKeyHash);
+    return row ? this.toUser(row) : null;
+  }
+
+  /**
+   * List users, oldest first
+   * @returns {Array<Object>} - Users
+   */
+  listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY created_at, rowid').all().map(row => this.toUser(row));
+  }
+
+  /**
+   * Count users
+   * @returns {number} - Number of users
+   */
+  countUsers() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+  }
+
+  /**
+   * Convert a users row to an API object; the key hash never leaves the store
+   * @param {Object} row - users row
+   * @returns {Object} - User
+   */
+  toUser(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      createdAt: row.created_at
+    };
+  }
+
+  // Workspaces
+
+  /**
+   * Create a workspace
+   * @param {Object} workspace - Workspace containing id and name
+   * @returns {Object} - The created workspace
+   */
+  createWorkspace(workspace) {
+    this.db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)')
+      .run(workspace.id, workspace.name, new Date().toISOString());
+    return this.getWorkspace(workspace.id);
+  }
+
+  /**
+   * Get a workspace
+   * @param {string} id - Workspace ID
+   * @returns {Object|null} - Workspace or null if not found
+   */
+  getWorkspace(id) {
+    const row = this.db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+    return row ? { id: row.id, name: row.name, createdAt: row.created_at } : null;
+  }
+
+  /**
+   * List all workspaces
+   * @returns {Array<Object>} - Workspaces
+   */
+  listWorkspaces() {
+    return this.db.prepare('SELECT * FROM workspaces ORDER BY created_at, rowid').all()
+      .map(row => ({ id: row.id, name: row.name, createdAt: row.created_at }));
+  }
+
+  /**
+   * List the workspaces a user belongs to, with their role in each
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} - Workspaces with a role property
+   */
+  listWorkspacesForUser(userId) {
+    return this.db.prepare(`
+      SELECT w.*, m.role FROM workspaces w
+      JOIN workspace_members m ON m.workspace_id = w.id
+      WHERE m.user_id = ?
+      ORDER BY w.created_at, w.rowid
+    `).all(userId).map(row => ({ id: row.id, name: row.name, role: row.role, createdAt: row.created_at }));
+  }
+
+  /**
+   * Get a user's role in a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {string|null} - Role, or null if the user is not a member
+   */
+  getMemberRole(workspaceId, userId) {
+    const row = this.db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+      .get(workspaceId, userId);
+    return row ? row.role : null;
+  }
+
+  /**
+   * Add a member to a workspace or change their role
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} role - Role in the workspace
+   */
+  setMember(workspaceId, userId, role) {
+    this.db.prepare(`
+      INSERT INTO workspace_members (workspace_id, user_id, role, created_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(workspace_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(workspaceId, userId, role, new Date().toISOString());
+  }
+
+  /**
+   * Remove a member from a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {boolean} - True if a member was removed
+   */
+  removeMember(workspaceId, userId) {
+    return this.db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+      .run(workspaceId, userId).changes > 0;
+  }
+
+  /**
+   * List the members of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Array<Object>} - Members containing userId, name, role and addedAt
+   */
+  listMembers(workspaceId) {
+    return this.db.prepare(`
+      SELECT u.id, u.name, m.role, m.created_at FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ?
+      ORDER BY m.created_at, u.name
+    `).all(workspaceId).map(row => ({ userId: row.id, name: row.name, role: row.role, addedAt: row.created_at }));
+  }
+
+  // Template sharing
+
+  /**
+   * Share a template read-only with another workspace
+   * @param {string} templateId - Template ID
+   * @param {string} workspaceId - Workspace to share with
+   */
+  shareTemplate(templateId, workspaceId) {
+    this.db.prepare('INSERT OR IGNORE INTO template_shares (template_id, workspace_id, created_at) VALUES (?, ?, ?)')
+      .run(templateId, workspaceId, new Date().toISOString());
+  }
+
+  /**
+   * Stop sharing a template with a workspace
+   * @param {string} templateId - Template ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {boolean} - True if a share was removed
+   */
+  unshareTemplate(templateId, workspaceId) {
+    return this.db.prepare('DELETE FROM template_shares WHERE template_id = ? AND workspace_id = ?')
+      .run(templateId, workspaceId).changes > 0;
+  }
+
+  /**
+   * Check whether a template is shared with a workspace
+   * @param {string} templateId - Template ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {boolean} - True if shared
+   */
+  isTemplateSharedWith(templateId, workspaceId) {
+    return Boolean(this.db.prepare('SELECT 1 FROM template_shares WHERE template_id = ? AND workspace_id = ?')
+      .get(templateId, workspaceId));
+  }
+
+  /**
+   * List the workspaces a template is shared with
+   * @param {string} templateId - Template ID
+   * @returns {Array<Object>} - Workspaces containing id, name and sharedAt
+   */
+  listTemplateShares(templateId) {
+    return this.db.prepare(`
+      SELECT w.id, w.name, s.created_at FROM template_shares s
+      JOIN workspaces w ON w.id = s.workspace_id
+      WHERE s.template_id = ?
+      ORDER BY s.created_at
+    `).all(templateId).map(row => ({ workspaceId: row.id, name: row.name, sharedAt: row.created_at }));
+  }
+
+  // Audit log
+
+  /**
+   * Append an event to the audit log
+   * @param {Object} event - Event containing action, userId, userName, workspaceId,
+   *   templateId, pdfId, documentId and details
+   * @returns {Object} - The stored event
+   */
+  recordAuditEvent(event) {
+    const result = this.db.prepare(`
+      INSERT INTO audit_events
+        (action, user_id, user_name, workspace_id, template_id, pdf_id, document_id, details, created_at)
+      VALUES
+        (@action, @userId, @userName, @workspaceId, @templateId, @pdfId, @documentId, @details, @createdAt)
+    `).run({
+      action: event.action,
+      userId: event.userId || null,
+      userName: event.userName || '',
+      workspaceId: event.workspaceId || null,
+      templateId: event.templateId || null,
+      pdfId: event.pdfId || null,
+      documentId: event.documentId || null,
+      details: JSON.stringify(event.details || {}),
+      createdAt: event.createdAt || new Date().toISOString()
+    });
+    return this.toAuditEvent(this.db.prepare('SELECT * FROM audit_events WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  /**
+   * List audit events, newest first
+   * Filtering by workspace returns only the events recorded in that workspace; a
+   * template owner does not see what other workspaces generated from a shared template.
+   * @param {Object} filters - Optional workspaceId, templateId, pdfId, userId, action,
+   *   from and to (ISO timestamps, inclusive), limit and offset
+   * @returns {Object} - { events, total } where total ignores limit and offset
+   */
+  listAuditEvents(filters = {}) {
+    const columns = {
+      workspaceId: 'workspace_id = ?',
+      templateId: 'template_id = ?',
+      pdfId: 'pdf_id = ?',
+      userId: 'user_id = ?',
+      action: 'action = ?',
+      from: 'created_at >= ?',
+      to: 'created_at <= ?'
+    };
+    const conditions = [];
+    const params = [];
+    Object.entries(columns).forEach(([filter, condition]) => {
+      if (filters[filter]) {
+        conditions.push(condition);
+        params.push(filters[filter]);
+      }
+    });
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM audit_events ${where}`).get(...params).count;
+    const page = filters.limit ? 'LIMIT ? OFFSET ?' : '';
+    const pageParams = filters.limit ? [filters.limit, filters.offset || 0] : [];
+    const events = this.db.prepare(`SELECT * FROM audit_events ${where} ORDER BY id DESC ${page}`)
+      .all(...params, ...pageParams)
+      .map(row => this.toAuditEvent(row));
+
+    return { events, total };
+  }
+
+  /**
+   * Convert an audit_events row to an event
+   * @param {Object} row - Database row
+   * @returns {Object} - Audit event
+   */
+  toAuditEvent(row) {
+    return {
+      id: row.id,
+      action: row.action,
+      userId: row.user_id,
+      userName: row.user_name,
+      workspaceId: row.workspace_id,
+      templateId: row.template_id,
+      pdfId: row.pdf_id,
+      documentId: row.document_id,
+      details: JSON.parse(row.details),
+      createdAt: row.created_at
+    };
+  }
+
+  // Single-use download links
+
+  /**
+   * Mark a single-use download link as used
+   * Links past their expiry are forgotten, since they are rejected anyway.
+   * @param {string} nonce - Nonce of the link
+   * @param {string} fileName - File the link points to
+   * @param {string} expiresAt - When the link expires (ISO timestamp)
+   * @returns {boolean} - True on first use, false if the link was used before
+   */
+  useDownloadLink(nonce, fileName, expiresAt) {
+    const now = new Date().toISOString();
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM used_download_links WHERE expires_at < ?').run(now);
+      return this.db.prepare(`
+        INSERT OR IGNORE INTO used_download_links (nonce, file_name, expires_at, used_at)
+        VALUES (?, ?, ?, ?)
+      `).run(nonce, fileName, expiresAt, now).changes > 0;
+    })();
+  }
+
+  // One-time imports
+
+  /**
+   * Check whether a named import has already run
+   * @param {string} name - Import name
+   * @returns {boolean} - True if the import was recorded
+   */
+  hasImported(name) {
+    return Boolean(this.db.prepare('SELECT name FROM imports WHERE name = ?').get(name));
+  }
+
+  /**
+   * Import legacy records in one transaction and record the import
+   * Existing rows with the same ID are kept, so a partial earlier import is never overwritten.
+   * @param {string} name - Import name
+   * @param {Object} records - Object containing templates, pdfs and generatedDocuments arrays
+   * @returns {Object} - Counts of imported records
+   */
+  importRecords(name, records) {
+    const counts = { templates: 0, pdfs: 0, generatedDocuments: 0 };
+
+    this.db.transaction(() => {
+      (records.templates || []).forEach(template => {
+        if (!this.getTemplate(template.id)) {
+          this.saveTemplate(template);
+          counts.templates++;
+        }
+      });
+      (records.pdfs || []).forEach(pdf => {
+        if (!this.getPdf(pdf.id)) {
+          this.savePdf(pdf);
+          counts.pdfs++;
+        }
+      });
+      (records.generatedDocuments || []).forEach(record => {
+        if (!this.getGeneratedDocument(record.id)) {
+          this.saveGeneratedDocument(record);
+          counts.generatedDocuments++;
+        }
+      });
+      this.db.prepare('INSERT OR REPLACE INTO imports (name, imported_at) VALUES (?, ?)')
+        .run(name, new Date().toISOString());
+    })();
+
+    return counts;
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = MetadataStore;
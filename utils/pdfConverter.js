@@ -205,43 +205,70 @@ class PdfConverter {
     }
   }
 
+  /**
+   * Convert a document with the LibreOffice command line
+   * @param {string} inputPath - Document to convert
+   * @param {string} outputPath - Where to save the converted document
+   * @param {string} filter - Target for --convert-to, e.g. 'pdf' or 'docx:"MS Word 2007 XML"'
+   * @param {Object} options - { signal, timeout } to abort the running conversion and limit its duration
+   * @returns {string} - Path to the converted document
+   */
+  static async convertWithLibreOffice(inputPath, outputPath, filter, options = {}) {
+    const { signal, timeout = 30000 } = options;
+    const outputDir = path.dirname(outputPath);
+
+    const command = `soffice --headless --convert-to ${filter} --outdir "${outputDir}" "${inputPath}"`;
+    console.log('Executing LibreOffice command:', command);
+
+    const { stdout, stderr } = await execAsync(command, { timeout, signal });
+
+    if (stderr) {
+      console.log('LibreOffice stderr:', stderr);
+    }
+
+    console.log('LibreOffice stdout:', stdout);
+
+    // LibreOffice names the output after the input, with the target's extension
+    const extension = filter.split(':')[0];
+    const expectedPath = path.join(outputDir, `${path.parse(inputPath).name}.${extension}`);
+
+    if (!fs.existsSync(expectedPath)) {
+      throw new Error(`LibreOffice did not create the expected ${extension.toUpperCase()} file`);
+    }
+    if (expectedPath !== outputPath) {
+      await fs.move(expectedPath, outputPath, { overwrite: true });
+    }
+    return outputPath;
+  }
+
   /**
    * Convert DOCX to PDF using LibreOffice command line (best fidelity)
    * @param {string} inputDocxPath
    * @param {string} outputPdfPath
+   * @param {Object} options - { signal } to abort the running conversion
    */
-  static async convertDocxToPdfLibreOffice(inputDocxPath, outputPdfPath) {
+  static async convertDocxToPdfLibreOffice(inputDocxPath, outputPdfPath, options = {}) {
     try {
-      const inputDir = path.dirname(inputDocxPath);
-      const outputDir = path.dirname(outputPdfPath);
-      
-      // Use LibreOffice command line for best results
-      const command = `soffice --headless --convert-to pdf --outdir "${outputDir}" "${inputDocxPath}"`;
-      console.log('Executing LibreOffice command:', command);
-      
-      const { stdout, stderr } = await execAsync(command, { timeout: 30000 });
-      
-      if (stderr) {
-        console.log('LibreOffice stderr:', stderr);
-      }
-      
-      console.log('LibreOffice stdout:', stdout);
-      
-      // LibreOffice creates the PDF with the same name but .pdf extension
-      const expectedPdfPath = inputDocxPath.replace('.docx', '.pdf');
-      
-      if (fs.existsSync(expectedPdfPath)) {
-        // Move to the desired output path
-        await fs.move(expectedPdfPath, outputPdfPath, { overwrite: true });
-        return outputPdfPath;
-      } else {
-        throw new Error('LibreOffice did not create the expected PDF file');
-      }
+      return await this.convertWithLibreOffice(inputDocxPath, outputPdfPath, 'pdf', options);
     } catch (error) {
       throw new Error(`LibreOffice conversion failed: ${error.message}`);
     }
   }
 
+  /**
+   * Convert a legacy Word (.doc), OpenDocument (.odt) or RTF document to DOCX
+   * @param {string} inputPath - Document to convert
+   * @param {string} outputDocxPath - Where to save the DOCX
+   * @returns {string} - Path to the DOCX
+   */
+  static async convertToDocx(inputPath, outputDocxPath) {
+    try {
+      return await this.convertWithLibreOffice(inputPath, outputDocxPath, 'docx:"MS Word 2007 XML"', { timeout: 60000 });
+    } catch (error) {
+      throw new Error(`LibreOffice conversion to DOCX failed: ${error.message}`);
+    }
+  }
+
   /**
    * Convert DOCX to PDF using libreoffice-convert library
    * @param {string} inputDocxPath
@@ -271,39 +298,39 @@ class PdfConverter {
    * Convert DOCX to PDF with multiple fallback options
    * @param {string} inputDocxPath
    * @param {string} outputPdfPath
+   * @param {Object} options - { signal, onMethod } to abort and to report the method being tried
    */
-  static async convertDocxToPdfNative(inputDocxPath, outputPdfPath) {
+  static async convertDocxToPdfNative(inputDocxPath, outputPdfPath, options = {}) {
+    const { signal, onMethod = () => {} } = options;
     console.log('Starting DOCX to PDF conversion with multiple fallback options...');
     
     // Method 1: Try LibreOffice command line (best fidelity)
     try {
       console.log('Attempting LibreOffice command line conversion...');
-      return await this.convertDocxToPdfLibreOffice(inputDocxPath, outputPdfPath);
+      this.throwIfCancelled(signal);
+      onMethod('libreoffice-cli');
+      return await this.convertDocxToPdfLibreOffice(inputDocxPath, outputPdfPath, { signal });
     } catch (error) {
+      this.throwIfCancelled(signal);
       console.log('LibreOffice command line failed:', error.message);
     }
     
     // Method 2: Try libreoffice-convert library
     try {
       console.log('Attempting libreoffice-convert library conversion...');
+      onMethod('libreoffice-convert');
       return await this.convertDocxToPdfLibreConvert(inputDocxPath, outputPdfPath);
     } catch (error) {
+      this.throwIfCancelled(signal);
       console.log('LibreOffice convert library failed:', error.message);
     }
     
     // Method 3: Fallback to HTML conversion (loses formatting but works)
     console.log('Falling back to HTML conversion (formatting may be lost)...');
+    onMethod('html-fallback');
     const mammoth = require('mammoth');
     const { value: html, messages } = await mammoth.convertToHtml({ path: inputDocxPath }, {
-      styleMap: [
-        "p[style-name='Heading 1'] => h1:fresh",
-        "p[style-name='Heading 2'] => h2:fresh",
-        "p[style-name='Heading 3'] => h3:fresh",
-        "table => table",
-        "tr => tr",
-        "td => td",
-        "th => th"
-      ]
+      styleMap: this.htmlStyleMap
     });
     
     if (messages && messages.length) {
@@ -319,6 +346,29 @@ class PdfConverter {
     });
   }
 
+  /**
+   * Mammoth style map used wherever a DOCX is shown as HTML
+   * @returns {Array<string>} - Style mappings
+   */
+  static get htmlStyleMap() {
+    return [
+      "p[style-name='Heading 1'] => h1:fresh",
+      "p[style-name='Heading 2'] => h2:fresh",
+      "p[style-name='Heading 3'] => h3:fresh",
+      "table => table"
+    ];
+  }
+
+  /**
+   * Throw if a conversion has been cancelled through its abort signal
+   * @param {AbortSignal} signal - Optional abort signal
+   */
+  static throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Conversion cancelled');
+    }
+  }
+
   /**
    * Format content for HTML display
    * @param {string} content - Raw text content
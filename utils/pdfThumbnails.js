@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class PdfThumbnails {
+  /**
+   * Render PNG thumbnails of PDF pages with pdf2pic and cache them next to the PDF
+   * For "temp/generated-<id>.pdf" the pages are stored as "temp/generated-<id>.thumb-1.png", ...
+   * and a "temp/generated-<id>.thumbs.json" manifest, so they fall in the same retention
+   * class as the PDF. For uploaded PDFs, list cacheKeys() with the referenced files so
+   * the cache is kept as long as the PDF. pdf2pic needs GraphicsMagick and Ghostscript on the server.
+   * @param {Object} options - Thumbnail options
+   * @param {Object} options.storage - Storage driver holding the PDFs
+   * @param {string} options.workDir - Local directory for images while they are rendered
+   * @param {number} options.width - Thumbnail width in pixels (height follows the page)
+   * @param {number} options.maxPages - Pages rendered per PDF; later pages get no thumbnail
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.workDir = options.workDir;
+    this.width = options.width || 200;
+    this.maxPages = options.maxPages || 50;
+    // Renders in progress by PDF key, so concurrent requests share one
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the thumbnails of a PDF, rendering them on first use
+   * @param {string} pdfKey - Storage key of the PDF
+   * @returns {Promise<Object>} - Manifest: { pageCount, pages: [page numbers], width, truncated, createdAt }
+   */
+  async get(pdfKey) {
+    const manifestKey = this.manifestKey(pdfKey);
+    if (await this.storage.exists(manifestKey)) {
+      try {
+        return await fs.readJson(await this.storage.getLocalPath(manifestKey));
+      } catch (err) {
+        console.log('Unreadable thumbnail manifest, rendering again:', manifestKey, err.message);
+      }
+    }
+
+    if (!this.pending.has(pdfKey)) {
+      this.pending.set(pdfKey, this.render(pdfKey).finally(() => this.pending.delete(pdfKey)));
+    }
+    return this.pending.get(pdfKey);
+  }
+
+  /**
+   * Get the storage key of one page's thumbnail, rendering the thumbnails if needed
+   * @param {string} pdfKey - Storage key of the PDF
+   * @param {number} page - Page number, counting from 1
+   * @returns {Promise<string|null>} - Key of the PNG, or null if the page has no thumbnail
+   */
+  async getPage(pdfKey, page) {
+    let manifest = await this.get(pdfKey);
+    if (!manifest.pages.includes(page)) {
+      return null;
+    }
+
+    const key = this.pageKey(pdfKey, page);
+    if (!(await this.storage.exists(key))) {
+      // Swept from under the manifest; start over
+      await this.storage.remove(this.manifestKey(pdfKey));
+      manifest = await this.get(pdfKey);
+    }
+    return manifest.pages.includes(page) ? key : null;
+  }
+
+  /**
+   * Render every page (up to maxPages) and store the images and manifest
+   * @param {string} pdfKey - Storage key of the PDF
+   * @returns {Promise<Object>} - Manifest
+   */
+  async render(pdfKey) {
+    const pdfPath = await this.storage.getLocalPath(pdfKey);
+    const pageCount = await this.countPages(pdfPath);
+    const pages = Array.from({ length: Math.min(pageCount, this.maxPages) }, (_, index) => index + 1);
+
+    // "intermediate-" files left behind by a crash are swept within the hour
+    const saveFilename = `intermediate-${uuidv4()}`;
+    const { fromPath } = require('pdf2pic');
+    const convert = fromPath(pdfPath, {
+      density: 96,
+      format: 'png',
+      width: this.width,
+      height: undefined,
+      preserveAspectRatio: true,
+      compression: 'Zip',
+      savePath: this.workDir,
+      saveFilename
+    });
+
+    let images = [];
+    try {
+      await fs.ensureDir(this.workDir);
+      images = await convert.bulk(pages, { responseType: 'image' });
+      for (const image of images) {
+        await this.storage.put(this.pageKey(pdfKey, image.page), image.path);
+      }
+
+      const manifest = {
+        pageCount,
+        pages,
+        width: this.width,
+        truncated: pageCount > pages.length,
+        createdAt: new Date().toISOString()
+      };
+      // Written last: a manifest means every page is in place
+      const manifestPath = path.join(this.workDir, `${saveFilename}.json`);
+      await fs.writeJson(manifestPath, manifest);
+      await this.storage.put(this.manifestKey(pdfKey), manifestPath);
+      return manifest;
+    } catch (error) {
+      await Promise.all(pages.map(page => fs.remove(path.join(this.workDir, `${saveFilename}.${page}.png`))));
+      if (/Could not execute GraphicsMagick|delegate failed/i.test(error.message)) {
+        const unavailable = new Error('Thumbnails need GraphicsMagick and Ghostscript installed on the server');
+        unavailable.status = 503;
+        throw unavailable;
+      }
+      throw new Error(`Failed to render thumbnails: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the cached thumbnails of a PDF
+   * @param {string} pdfKey - Storage key of the PDF
+   */
+  async remove(pdfKey) {
+    const manifestKey = this.manifestKey(pdfKey);
+    const prefix = `${this.baseKey(pdfKey)}.thumb-`;
+    const folder = path.posix.dirname(pdfKey);
+    const keys = (await this.storage.list(folder)).filter(key => key.startsWith(prefix) || key === manifestKey);
+    await Promise.all(keys.map(key => this.storage.remove(key)));
+  }
+
+  /**
+   * List every key the thumbnail cache of a PDF can use
+   * @param {string} pdfKey - Storage key of the PDF
+   * @returns {Array<string>} - Manifest key and the page keys up to maxPages
+   */
+  cacheKeys(pdfKey) {
+    const pageKeys = Array.from({ length: this.maxPages }, (_, index) => this.pageKey(pdfKey, index + 1));
+    return [this.manifestKey(pdfKey), ...pageKeys];
+  }
+
+  /**
+   * Count the pages of a PDF
+   * @param {string} pdfPath - Path to the PDF
+   * @returns {Promise<number>} - Number of pages
+   */
+  async countPages(pdfPath) {
+    const pdf = require('pdf-parse');
+    // Only the page count is needed; skip extracting text past the first page
+    const { numpages } = await pdf(await fs.readFile(pdfPath), { max: 1 });
+    return numpages;
+  }
+
+  baseKey(pdfKey) {
+    return pdfKey.replace(/\.pdf$/i, '');
+  }
+
+  pageKey(pdfKey, page) {
+    return `${this.baseKey(pdfKey)}.thumb-${page}.png`;
+  }
+
+  manifestKey(pdfKey) {
+    return `${this.baseKey(pdfKey)}.thumbs.json`;
+  }
+}
+
+module.exports = PdfThumbnails;
@@ -0,0 +1,119 @@
+const Auth = require('./auth');
+
+// What each permission allows, used in 403 messages
+const PERMISSIONS = {
+  'templates:read': 'view templates',
+  'templates:values': 'edit saved values',
+  'templates:write': 'upload or replace templates',
+  'templates:delete': 'delete templates',
+  'templates:share': 'share templates with other workspaces',
+  'documents:read': 'view and download generated documents',
+  'documents:generate': 'generate documents',
+  'pdfs:read': 'view PDFs',
+  'pdfs:write': 'upload PDFs',
+  'pdfs:convert': 'convert PDFs to Word',
+  'pdfs:delete': 'delete PDFs',
+  'images:read': 'view uploaded images',
+  'images:write': 'upload images',
+  'images:delete': 'delete images',
+  'members:read': 'view workspace members',
+  'members:manage': 'manage workspace members',
+  'audit:read': 'read the audit log'
+};
+
+// Ordered from least to most access; each role has the permissions of the ones before it
+const ROLE_PERMISSIONS = [
+  ['viewer', ['templates:read', 'documents:read', 'pdfs:read', 'images:read', 'members:read']],
+  ['generator', ['documents:generate', 'images:write']],
+  ['editor', ['templates:values', 'templates:write', 'pdfs:write', 'pdfs:convert']],
+  ['admin', ['templates:delete', 'templates:share', 'pdfs:delete', 'images:delete', 'members:manage', 'audit:read']]
+];
+
+class Permissions {
+  /**
+   * Workspace roles, from least to most access
+   * @returns {Array<string>} - Role names
+   */
+  static get roles() {
+    return ROLE_PERMISSIONS.map(([role]) => role);
+  }
+
+  /**
+   * All permissions with a short description of each
+   * @returns {Object} - Map of permission to description
+   */
+  static get all() {
+    return PERMISSIONS;
+  }
+
+  /**
+   * List the permissions a role grants
+   * @param {string} role - Workspace role
+   * @returns {Array<string>} - Permissions, empty for unknown roles
+   */
+  static forRole(role) {
+    const index = ROLE_PERMISSIONS.findIndex(([name]) => name === role);
+    return ROLE_PERMISSIONS.slice(0, index + 1).flatMap(([, permissions]) => permissions);
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string} role - Workspace role
+   * @param {string} permission - Permission
+   * @returns {boolean} - True if granted
+   */
+  static has(role, permission) {
+    return this.forRole(role).includes(permission);
+  }
+
+  /**
+   * Check whether a request may use a permission in its workspace
+   * System admins may read across all workspaces without selecting one; anything
+   * that creates or changes data needs a selected workspace.
+   * @param {Object} req - Express request with req.user and req.workspace
+   * @param {string} permission - Permission
+   * @returns {Object|null} - { status, error } when denied, null when allowed
+   */
+  static check(req, permission) {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    if (!req.workspace) {
+      if (permission.endsWith(':read') && Auth.isAdmin(req.user)) {
+        return null;
+      }
+      return { status: 400, error: 'Select a workspace with the X-Workspace-Id header' };
+    }
+
+    if (!this.has(req.workspace.role, permission)) {
+      return {
+        status: 403,
+        error: `You do not have permission to ${PERMISSIONS[permission]} in workspace "${req.workspace.name}". ` +
+          `This needs the "${permission}" permission, which your role (${req.workspace.role}) does not include`,
+        permission: permission
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create middleware that requires a permission in the request's workspace
+   * @param {string|Function} permission - Permission, or a function of the request returning one
+   * @returns {Function} - Express middleware
+   */
+  static require(permission) {
+    return (req, res, next) => {
+      const required = typeof permission === 'function' ? permission(req) : permission;
+      const denied = this.check(req, required);
+      if (denied) {
+        const { status, ...body } = denied;
+        return res.status(status).json(body);
+      }
+      next();
+    };
+  }
+}
+
+module.exports = Permissions;
@@ -0,0 +1,229 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class RetentionSweeper {
+  /**
+   * Create a sweeper that deletes stored files once they outlive their class's TTL
+   * @param {Object} options - Sweeper options
+   * @param {Object} options.storage - Storage driver holding the files
+   * @param {string} options.rootDir - Directory holding uploads/ and temp/ locally
+   * @param {Array<Object>} options.classes - File classes: { name, folder, pattern, ttl } with ttl in
+   *   seconds (0 keeps files forever). A file belongs to the first class whose pattern matches its name
+   * @param {Function} options.getReferencedKeys - Returns the Set of keys that are still in use and
+   *   must never be swept, whatever their age
+   * @param {number} options.intervalMs - Time between background sweeps (0 disables them)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.rootDir = options.rootDir;
+    this.classes = options.classes || [];
+    this.getReferencedKeys = options.getReferencedKeys || (() => new Set());
+    this.intervalMs = options.intervalMs || 0;
+    this.timer = null;
+    this.running = null;
+    this.lastSweep = null;
+    this.nextSweepAt = null;
+    this.startedAt = new Date().toISOString();
+    this.reclaimed = this.emptyTotals();
+  }
+
+  /**
+   * Run a sweep now and then every intervalMs
+   */
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+    const run = () => {
+      this.nextSweepAt = new Date(Date.now() + this.intervalMs).toISOString();
+      this.sweep().catch(err => console.error('Retention sweep failed:', err));
+    };
+    this.timer = setInterval(run, this.intervalMs);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop background sweeps
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.nextSweepAt = null;
+  }
+
+  /**
+   * Delete every file that is past its class's TTL and not referenced
+   * Concurrent calls share the sweep that is already running.
+   * @returns {Promise<Object>} - Sweep report with deleted files and bytes per class
+   */
+  sweep() {
+    if (!this.running) {
+      this.running = this.runSweep().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Delete the expired files found by scan() and record the result as lastSweep
+   * @returns {Promise<Object>} - Sweep report (see sweep())
+   */
+  async runSweep() {
+    const startedAt = new Date().toISOString();
+    const deleted = this.emptyTotals();
+    const errors = [];
+
+    for (const file of await this.scan()) {
+      if (!file.expired) {
+        continue;
+      }
+      try {
+        await this.storage.remove(file.key);
+        deleted[file.className].files++;
+        deleted[file.className].bytes += file.size;
+        this.reclaimed[file.className].files++;
+        this.reclaimed[file.className].bytes += file.size;
+      } catch (err) {
+        errors.push({ key: file.key, error: err.message });
+      }
+    }
+
+    const files = Object.values(deleted).reduce((sum, entry) => sum + entry.files, 0);
+    const bytes = Object.values(deleted).reduce((sum, entry) => sum + entry.bytes, 0);
+    console.log(`Retention sweep: deleted ${files} files (${bytes} bytes)${errors.length ? `, ${errors.length} errors` : ''}`);
+
+    this.lastSweep = { startedAt, finishedAt: new Date().toISOString(), files, bytes, deleted, errors };
+    return this.lastSweep;
+  }
+
+  /**
+   * Report how much each class stores and how much the next sweep would delete
+   * @returns {Promise<Object>} - Usage per class plus totals
+   */
+  async usage() {
+    const classes = this.classes.map(fileClass => ({
+      name: fileClass.name,
+      folder: fileClass.folder,
+      ttl: fileClass.ttl,
+      files: 0,
+      bytes: 0,
+      expiredFiles: 0,
+      expiredBytes: 0
+    }));
+    const other = { files: 0, bytes: 0 };
+
+    for (const file of await this.scan()) {
+      const entry = file.className ? classes.find(c => c.name === file.className) : other;
+      entry.files++;
+      entry.bytes += file.size;
+      if (file.expired) {
+        entry.expiredFiles++;
+        entry.expiredBytes += file.size;
+      }
+    }
+
+    return {
+      classes,
+      other,
+      totalFiles: classes.reduce((sum, entry) => sum + entry.files, other.files),
+      totalBytes: classes.reduce((sum, entry) => sum + entry.bytes, other.bytes)
+    };
+  }
+
+  /**
+   * List the files in every swept folder with their class, size, age and expiry
+   * Files only present in the local directory (for example leftovers next to the
+   * S3 cache) are included, so they are swept as well.
+   * @returns {Promise<Array<Object>>} - Files: { key, className, size, modified, expired }
+   */
+  async scan() {
+    const referenced = await this.getReferencedKeys();
+    const folders = [...new Set(this.classes.map(fileClass => fileClass.folder))];
+    const now = Date.now();
+    const files = [];
+
+    for (const folder of folders) {
+      const storedKeys = new Set(await this.storage.list(folder));
+      const keys = new Set([...storedKeys, ...(await this.listLocal(folder))]);
+
+      for (const key of keys) {
+        let stats;
+        try {
+          stats = storedKeys.has(key) ? await this.storage.stat(key) : await this.statLocal(key);
+        } catch (err) {
+          // Deleted while we were looking
+          continue;
+        }
+
+        const fileClass = this.classify(folder, path.posix.basename(key));
+        const modified = new Date(stats.modified);
+        const expired = Boolean(fileClass && fileClass.ttl > 0 && !referenced.has(key) &&
+          now - modified.getTime() > fileClass.ttl * 1000);
+
+        files.push({
+          key,
+          className: fileClass ? fileClass.name : null,
+          size: stats.size || 0,
+          modified: modified.toISOString(),
+          expired
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Find the class a file belongs to
+   * @param {string} folder - Folder of the file
+   * @param {string} fileName - File name
+   * @returns {Object|null} - File class or null if none matches
+   */
+  classify(folder, fileName) {
+    return this.classes.find(fileClass => fileClass.folder === folder && fileClass.pattern.test(fileName)) || null;
+  }
+
+  /**
+   * List the files of a folder in the local directory when storage is remote
+   * @param {string} folder - Folder to list, e.g. "temp"
+   * @returns {Promise<Array<string>>} - Keys of the local files, empty for local storage
+   */
+  async listLocal(folder) {
+    if (this.storage.name === 'local') {
+      return [];
+    }
+    const dir = path.join(this.rootDir, folder);
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile()).map(entry => `${folder}/${entry.name}`);
+  }
+
+  /**
+   * Get the size and modification time of a file in the local directory
+   * @param {string} key - Storage key of the file
+   * @returns {Promise<Object>} - { size, modified }
+   */
+  async statLocal(key) {
+    const stats = await fs.stat(path.join(this.rootDir, key));
+    return { size: stats.size, modified: stats.mtime };
+  }
+
+  /**
+   * Create zeroed file and byte counters for every class
+   * @returns {Object} - Map of class name to { files, bytes }
+   */
+  emptyTotals() {
+    const totals = {};
+    this.classes.forEach(fileClass => {
+      totals[fileClass.name] = { files: 0, bytes: 0 };
+    });
+    return totals;
+  }
+}
+
+module.exports = RetentionSweeper;
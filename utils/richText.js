@@ -0,0 +1,349 @@
+const sanitizeHtml = require('sanitize-html');
+
+// HTML that rich-text values may use; other tags are dropped and their text kept
+const ALLOWED_TAGS = [
+  'p', 'div', 'br', 'h1', 'h2', 'h3', 'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'del', 'ul', 'ol', 'li'
+];
+
+const INLINE_STYLES = {
+  strong: 'bold', b: 'bold', em: 'italic', i: 'italic', u: 'underline', s: 'strike', strike: 'strike', del: 'strike'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+const NUMBERING_PATH = 'word/numbering.xml';
+const NUMBERING_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml';
+const NUMBERING_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering';
+const BULLETS = ['•', '◦', '▪'];
+
+class RichText {
+  /**
+   * Convert a rich-text value to WordprocessingML paragraphs for a {{@tag}}
+   * Values that start with an HTML tag are read as HTML, anything else as Markdown.
+   * Lists get real Word numbering; call writeNumbering() once the document is rendered.
+   * @param {*} value - HTML or Markdown
+   * @param {Object} numbering - Numbering state from createNumbering()
+   * @returns {string} - <w:p> elements, or '' for an empty value (the paragraph is removed)
+   */
+  static toWordML(value, numbering) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return '';
+    }
+    const text = String(value);
+    const html = /^\s*<[a-z]/i.test(text) ? text : this.markdownToHtml(text);
+    return this.parseHtml(html, numbering).map(block => this.paragraphXml(block)).join('');
+  }
+
+  /**
+   * Read limited HTML into paragraphs of styled runs
+   * @param {string} html - HTML value
+   * @param {Object} numbering - Numbering state from createNumbering()
+   * @returns {Array<Object>} - { heading, list: { numId, level }, runs: [{ text, bold, italic, underline, strike } | { break: true }] }
+   */
+  static parseHtml(html, numbering) {
+    // Leaves only allowed tags, without attributes, properly nested and with text escaped
+    const clean = sanitizeHtml(html, { allowedTags: ALLOWED_TAGS, allowedAttributes: {} });
+    const blocks = [];
+    const lists = [];
+    const styles = { bold: 0, italic: 0, underline: 0, strike: 0 };
+    let current = null;
+
+    const open = (block) => {
+      close();
+      current = { runs: [], ...block };
+    };
+    const close = () => {
+      if (current && (current.explicit || current.runs.length > 0)) {
+        blocks.push(current);
+      }
+      current = null;
+    };
+    const ensure = () => {
+      if (!current) {
+        const list = lists[lists.length - 1];
+        open(list ? { list: { numId: list.numId, level: lists.length - 1 }, continued: true } : {});
+      }
+    };
+
+    const tokens = /<(\/?)([a-z0-9]+)[^>]*>|[^<]+/gi;
+    let match;
+    while ((match = tokens.exec(clean)) !== null) {
+      if (!match[2]) {
+        const text = this.decodeEntities(match[0].replace(/\s+/g, ' '));
+        if (!current && !text.trim()) {
+          continue;
+        }
+        ensure();
+        const value = current.runs.length === 0 || current.runs[current.runs.length - 1].break ? text.replace(/^ /, '') : text;
+        if (value) {
+          current.runs.push({
+            text: value,
+            bold: styles.bold > 0,
+            italic: styles.italic > 0,
+            underline: styles.underline > 0,
+            strike: styles.strike > 0
+          });
+        }
+        continue;
+      }
+
+      const closing = match[1] === '/';
+      const tag = match[2].toLowerCase();
+
+      if (INLINE_STYLES[tag]) {
+        styles[INLINE_STYLES[tag]] += closing ? -1 : 1;
+      } else if (tag === 'br') {
+        ensure();
+        current.runs.push({ break: true });
+      } else if (tag === 'p' || tag === 'div' || /^h[1-3]$/.test(tag)) {
+        const list = lists[lists.length - 1];
+        // In <li><p>...</p></li> the paragraph is the list item itself
+        const startsItem = current && current.list && !current.continued && current.runs.length === 0;
+        if (closing) {
+          close();
+        } else if (!startsItem) {
+          // An empty <p></p> is kept as a blank line; a wrapping <div> is not
+          open({
+            explicit: tag !== 'div',
+            ...(tag[0] === 'h' && { heading: Number(tag[1]) }),
+            ...(list && { list: { numId: list.numId, level: lists.length - 1 }, continued: true })
+          });
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        close();
+        if (closing) {
+          lists.pop();
+        } else {
+          lists.push({ numId: this.addList(numbering, tag === 'ol', lists.length) });
+        }
+      } else if (tag === 'li') {
+        if (closing) {
+          close();
+        } else if (lists.length > 0) {
+          open({ explicit: true, list: { numId: lists[lists.length - 1].numId, level: lists.length - 1 } });
+        }
+      }
+    }
+    close();
+
+    return blocks;
+  }
+
+  /**
+   * Convert limited Markdown to the HTML parseHtml() reads
+   * Supports paragraphs, single line breaks, # to ### headings, "-", "*", "+" and "1." lists
+   * nested by indentation, **bold**, *italic*, __bold__, _italic_ and ~~strikethrough~~.
+   * @param {string} markdown - Markdown value
+   * @returns {string} - HTML
+   */
+  static markdownToHtml(markdown) {
+    const out = [];
+    const lists = [];
+    let paragraph = null;
+
+    const closeParagraph = () => {
+      if (paragraph !== null) {
+        out.push(`<p>${paragraph}</p>`);
+        paragraph = null;
+      }
+    };
+    const closeLists = (depth = 0) => {
+      while (lists.length > depth) {
+        out.push(`</li></${lists.pop()}>`);
+      }
+    };
+
+    markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      const heading = line.match(/^\s{0,3}(#{1,3})\s+(.*?)\s*#*\s*$/);
+      const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+
+      if (!line.trim()) {
+        closeParagraph();
+        closeLists();
+      } else if (heading) {
+        closeParagraph();
+        closeLists();
+        out.push(`<h${heading[1].length}>${this.inlineMarkdown(heading[2])}</h${heading[1].length}>`);
+      } else if (item) {
+        closeParagraph();
+        const type = /\d/.test(item[2]) ? 'ol' : 'ul';
+        const depth = Math.min(Math.floor(item[1].replace(/\t/g, '  ').length / 2), lists.length);
+        closeLists(depth + 1);
+        if (lists.length === depth + 1 && lists[depth] !== type) {
+          closeLists(depth);
+        }
+        if (lists.length === depth + 1) {
+          out.push('</li>');
+        } else {
+          out.push(`<${type}>`);
+          lists.push(type);
+        }
+        out.push(`<li>${this.inlineMarkdown(item[3])}`);
+      } else if (lists.length > 0 && /^\s/.test(line)) {
+        // Indented line continuing a list item
+        out.push(`<br>${this.inlineMarkdown(line.trim())}`);
+      } else {
+        closeLists();
+        const text = this.inlineMarkdown(line.trim());
+        paragraph = paragraph === null ? text : `${paragraph}<br>${text}`;
+      }
+    });
+    closeParagraph();
+    closeLists();
+
+    return out.join('');
+  }
+
+  static inlineMarkdown(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<s>$1</s>')
+      .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>');
+  }
+
+  /**
+   * Write one paragraph as WordprocessingML
+   * @param {Object} block - Paragraph from parseHtml()
+   * @returns {string} - <w:p> element
+   */
+  static paragraphXml(block) {
+    const properties = [];
+    if (block.heading) {
+      properties.push(`<w:pStyle w:val="Heading${block.heading}"/>`);
+    }
+    if (block.list && !block.continued) {
+      properties.push(`<w:numPr><w:ilvl w:val="${block.list.level}"/><w:numId w:val="${block.list.numId}"/></w:numPr>`);
+    } else if (block.list) {
+      // Text after a nested list, or a <p> inside an item: indented, without a bullet
+      properties.push(`<w:ind w:left="${720 * (block.list.level + 1)}"/>`);
+    }
+
+    const runs = block.runs.map(run => {
+      if (run.break) {
+        return '<w:r><w:br/></w:r>';
+      }
+      const format = [
+        run.bold ? '<w:b/>' : '',
+        run.italic ? '<w:i/>' : '',
+        run.strike ? '<w:strike/>' : '',
+        run.underline ? '<w:u w:val="single"/>' : ''
+      ].join('');
+      return `<w:r>${format ? `<w:rPr>${format}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(run.text)}</w:t></w:r>`;
+    });
+
+    return `<w:p>${properties.length ? `<w:pPr>${properties.join('')}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+  }
+
+  /**
+   * Start tracking the lists rich-text values add to a document
+   * New numbering IDs are chosen above the ones the template already uses.
+   * @param {Object} zip - PizZip instance of the template
+   * @returns {Object} - Numbering state for toWordML() and writeNumbering()
+   */
+  static createNumbering(zip) {
+    const file = zip.file(NUMBERING_PATH);
+    const xml = file ? file.asText() : '';
+    const highest = (pattern) => Math.max(0, ...[...xml.matchAll(pattern)].map(match => Number(match[1])));
+    return {
+      nextAbstractId: highest(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"/g) + 1,
+      nextNumId: highest(/<w:num\b[^>]*w:numId="(\d+)"/g) + 1,
+      abstractIds: {},
+      lists: []
+    };
+  }
+
+  /**
+   * Allocate a numbering instance for one list, so each ordered list starts at 1
+   * @param {Object} numbering - Numbering state
+   * @param {boolean} ordered - Numbered rather than bulleted
+   * @param {number} level - Nesting level of the list, from 0
+   * @returns {number} - numId for the list's paragraphs
+   */
+  static addList(numbering, ordered, level) {
+    const kind = ordered ? 'decimal' : 'bullet';
+    if (numbering.abstractIds[kind] === undefined) {
+      numbering.abstractIds[kind] = numbering.nextAbstractId++;
+    }
+    const numId = numbering.nextNumId++;
+    numbering.lists.push({ numId, level, abstractId: numbering.abstractIds[kind] });
+    return numId;
+  }
+
+  /**
+   * Add the list definitions used by rich-text values to the rendered document
+   * Creates word/numbering.xml (with its relationship and content type) when the
+   * template has none.
+   * @param {Object} zip - PizZip instance of the rendered document
+   * @param {Object} numbering - Numbering state
+   */
+  static writeNumbering(zip, numbering) {
+    if (numbering.lists.length === 0) {
+      return;
+    }
+
+    const abstracts = Object.entries(numbering.abstractIds)
+      .map(([kind, id]) => this.abstractNumXml(id, kind))
+      .join('');
+    const nums = numbering.lists
+      .map(list => `<w:num w:numId="${list.numId}"><w:abstractNumId w:val="${list.abstractId}"/><w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`)
+      .join('');
+
+    const file = zip.file(NUMBERING_PATH);
+    if (file) {
+      // Every w:abstractNum must come before the first w:num
+      let xml = file.asText();
+      const firstNum = xml.search(/<w:num\b/);
+      xml = firstNum === -1
+        ? xml.replace('</w:numbering>', `${abstracts}</w:numbering>`)
+        : `${xml.slice(0, firstNum)}${abstracts}${xml.slice(firstNum)}`;
+      // ...and every w:num before Word's w:numIdMacAtCleanup, if there is one
+      const end = xml.search(/<w:numIdMacAtCleanup\b|<\/w:numbering>/);
+      zip.file(NUMBERING_PATH, `${xml.slice(0, end)}${nums}${xml.slice(end)}`);
+      return;
+    }
+
+    zip.file(NUMBERING_PATH, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">${abstracts}${nums}</w:numbering>`);
+
+    const types = zip.file('[Content_Types].xml').asText();
+    zip.file('[Content_Types].xml', types.replace('</Types>',
+      `<Override PartName="/${NUMBERING_PATH}" ContentType="${NUMBERING_TYPE}"/></Types>`));
+
+    const relsPath = 'word/_rels/document.xml.rels';
+    const rels = zip.file(relsPath).asText();
+    const ids = [...rels.matchAll(/Id="rId(\d+)"/g)].map(match => Number(match[1]));
+    zip.file(relsPath, rels.replace('</Relationships>',
+      `<Relationship Id="rId${Math.max(0, ...ids) + 1}" Type="${NUMBERING_REL}" Target="numbering.xml"/></Relationships>`));
+  }
+
+  static abstractNumXml(id, kind) {
+    const levels = Array.from({ length: 9 }, (_, level) => {
+      const format = kind === 'bullet'
+        ? `<w:numFmt w:val="bullet"/><w:lvlText w:val="${BULLETS[level % BULLETS.length]}"/>`
+        : `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][level % 3]}"/><w:lvlText w:val="%${level + 1}."/>`;
+      return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/>` +
+        `<w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+    }).join('');
+    return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+  }
+
+  static decodeEntities(text) {
+    return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : entity;
+    });
+  }
+
+  static escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = RichText;
@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+let s3Sdk;
+
+class S3StorageDriver {
+  /**
+   * Store files in an S3-compatible bucket (AWS S3, MinIO, ...)
+   * Files are also kept in a local cache directory, because docxtemplater,
+   * mammoth and LibreOffice all need a real file to work on.
+   * @param {Object} options - Driver options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Bucket region
+   * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000 for MinIO
+   * @param {boolean} options.forcePathStyle - Use path-style URLs (required by most S3 stand-ins)
+   * @param {string} options.accessKeyId - Access key (falls back to the AWS credential chain)
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {string} options.prefix - Prefix added to every object key
+   * @param {string} options.cacheDir - Local directory used as a read-through cache
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket name');
+    }
+
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+    this.cacheDir = path.resolve(options.cacheDir);
+    this.clientOptions = {
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: Boolean(options.forcePathStyle)
+    };
+    if (options.accessKeyId && options.secretAccessKey) {
+      this.clientOptions.credentials = {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      };
+    }
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the S3 client so the SDK is only loaded when used
+   * @returns {Object} - Object containing the client and SDK commands
+   */
+  getClient() {
+    if (!s3Sdk) {
+      s3Sdk = require('@aws-sdk/client-s3');
+    }
+    if (!this.client) {
+      this.client = new s3Sdk.S3Client(this.clientOptions);
+    }
+    return { client: this.client, sdk: s3Sdk };
+  }
+
+  /**
+   * Build the object key for a storage key
+   * @param {string} key - Storage key
+   * @returns {string} - Object key in the bucket
+   */
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Resolve a key to its path in the local cache
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute cache path
+   */
+  cachePath(key) {
+    const filePath = path.resolve(this.cacheDir, key);
+    if (!filePath.startsWith(this.cacheDir + path.sep)) {
+      throw new Error(`Storage key escapes the cache directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Upload a local file under a key and keep it in the cache
+   * @param {string} key - Storage key
+   * @param {string} sourcePath - Local file to store
+   * @returns {Promise<string>} - The storage key
+   */
+  async put(key, sourcePath) {
+    const { client, sdk } = this.getClient();
+    await client.send(new sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: await fs.readFile(sourcePath)
+    }));
+
+    const cached = this.cachePath(key);
+    if (path.resolve(sourcePath) !== cached) {
+      await fs.move(sourcePath, cached, { overwrite: true });
+    }
+    return key;
+  }
+
+  /**
+   * Get a local path for a key, downloading it into the cache if needed
+   * @param {string} key - Storage key
+   * @returns {Promise<string>} - Absolute file path
+   */
+  async getLocalPath(key) {
+    const cached = this.cachePath(key);
+    if (await fs.pathExists(cached)) {
+      return cached;
+    }
+
+    const { client, sdk } = this.getClient();
+    const response = await client.send(new sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    await fs.ensureDir(path.dirname(cached));
+    await fs.writeFile(cached, Buffer.from(await response.Body.transformToByteArray()));
+    return cached;
+  }
+
+  /**
+   * Check whether a key exists in the bucket
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if the object exists
+   */
+  async exists(key) {
+    try {
+      await this.stat(key);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get size and modification time for a key
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} - Object containing size and modified
+   */
+  async stat(key) {
+    const { client, sdk } = this.getClient();
+    const response = await client.send(new sdk.HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return { size: response.ContentLength, modified: response.LastModified };
+  }
+
+  /**
+   * Open a read stream for a key
+   * @param {string} key - Storage key
+   * @returns {Promise<stream.Readable>} - Object body stream
+   */
+  async createReadStream(key) {
+    const { client, sdk } = this.getClient();
+    const response = await client.send(new sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return response.Body;
+  }
+
+  /**
+   * Remove a key from the bucket and the cache
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    const { client, sdk } = this.getClient();
+    await client.send(new sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    await fs.remove(this.cachePath(key));
+  }
+
+  /**
+   * List the keys directly under a prefix
+   * @param {string} prefix - Key prefix such as "uploads"
+   * @returns {Promise<Array<string>>} - Keys
+   */
+  async list(prefix) {
+    const { client, sdk } = this.getClient();
+    const keys = [];
+    const listPrefix = this.objectKey(`${prefix.replace(/\/+$/, '')}/`);
+    let continuationToken;
+
+    do {
+      const response = await client.send(new sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: listPrefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      }));
+      (response.Contents || []).forEach(object => {
+        keys.push(object.Key.slice(this.prefix.length));
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,104 @@
+const path = require('path');
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+// Top-level folders that storage keys live under
+const KEY_ROOTS = ['uploads', 'temp'];
+
+class Storage {
+  /**
+   * Create the storage driver selected by environment variables
+   * STORAGE_DRIVER=local (default) or s3; see README for the S3_* settings.
+   * @param {string} rootDir - Backend directory holding uploads/ and temp/
+   * @param {Object} env - Environment variables
+   * @returns {LocalStorageDriver|S3StorageDriver} - Storage driver
+   */
+  static fromEnv(rootDir, env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+      return new S3StorageDriver({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX,
+        cacheDir: rootDir
+      });
+    }
+
+    if (driver !== 'local') {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "s3"`);
+    }
+
+    return new LocalStorageDriver({ rootDir });
+  }
+
+  /**
+   * Convert a stored file reference into a portable storage key
+   * Handles absolute paths from any machine, including Windows paths such as
+   * "D:\\Noven\\backend\\uploads\\<id>.docx", which becomes "uploads/<id>.docx".
+   * @param {string} filePath - Stored path or key
+   * @param {string} rootDir - Backend directory holding uploads/ and temp/
+   * @returns {string} - Storage key, or the input if it cannot be mapped
+   */
+  static toKey(filePath, rootDir) {
+    if (!filePath) {
+      return filePath;
+    }
+
+    const segments = String(filePath).split(/[\\/]+/).filter(Boolean);
+    for (let i = segments.length - 2; i >= 0; i--) {
+      if (KEY_ROOTS.includes(segments[i])) {
+        return segments.slice(i).join('/');
+      }
+    }
+
+    if (rootDir && path.isAbsolute(filePath)) {
+      const relative = path.relative(rootDir, filePath);
+      if (!relative.startsWith('..')) {
+        return relative.split(path.sep).join('/');
+      }
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Build the key for a file in uploads/
+   * @param {string} fileName - File name
+   * @returns {string} - Storage key
+   */
+  static uploadKey(fileName) {
+    return `uploads/${fileName}`;
+  }
+
+  /**
+   * Build the key for a generated or converted file in temp/
+   * @param {string} fileName - File name
+   * @returns {string} - Storage key
+   */
+  static outputKey(fileName) {
+    if (!this.isValidFileName(fileName)) {
+      throw new Error(`Invalid file name: ${fileName}`);
+    }
+    return `temp/${fileName}`;
+  }
+
+  /**
+   * Check that a file name from a request names a single file, so it cannot
+   * reach outside its folder (no separators, no "..", no hidden files)
+   * @param {string} fileName - File name
+   * @returns {boolean} - True if safe to use
+   */
+  static isValidFileName(fileName) {
+    return typeof fileName === 'string' &&
+      fileName.length <= 255 &&
+      /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(fileName) &&
+      !fileName.includes('..');
+  }
+}
+
+module.exports = Storage;
@@ -0,0 +1,101 @@
+const TemplateFilters = require('./templateFilters');
+
+class TableTotals {
+  /**
+   * Names of the values computed for a table variable
+   * "items" gets "items.subtotal", "items.total" and, with a tax rate, "items.tax",
+   * "items.taxRate" and "items.taxLabel".
+   * @param {string} name - Table variable name
+   * @returns {Object} - Map of total to variable name
+   */
+  static names(name) {
+    return {
+      subtotal: `${name}.subtotal`,
+      tax: `${name}.tax`,
+      taxRate: `${name}.taxRate`,
+      taxLabel: `${name}.taxLabel`,
+      total: `${name}.total`
+    };
+  }
+
+  /**
+   * Read the rows of a table variable
+   * Rows may be sent as an array or, from forms and CSV files, as a JSON array string.
+   * @param {*} value - Table value
+   * @returns {Array<Object>|null} - Rows, or null if the value is not a list of row objects
+   */
+  static parseRows(value) {
+    let rows = value;
+    if (typeof rows === 'string') {
+      try {
+        rows = JSON.parse(rows);
+      } catch (_) {
+        return null;
+      }
+    }
+    const isRow = row => row !== null && typeof row === 'object' && !Array.isArray(row);
+    return Array.isArray(rows) && rows.every(isRow) ? rows : null;
+  }
+
+  /**
+   * Check the rows of a table variable
+   * Rows without an amount (such as section headings) are allowed and count as zero.
+   * @param {Object} definition - Table definition ({ amountField })
+   * @param {*} value - Table value
+   * @returns {string|null} - Error message, or null if the rows are valid
+   */
+  static check(definition, value) {
+    const rows = this.parseRows(value);
+    if (!rows) {
+      return 'Must be an array of row objects';
+    }
+
+    // Required here rather than at the top, since VariableValidator requires this module
+    const VariableValidator = require('./variableValidator');
+    const field = definition.amountField;
+    const invalid = rows.findIndex(row => !VariableValidator.isEmpty(row[field]) && TemplateFilters.toNumber(row[field]) === null);
+    return invalid === -1 ? null : `Row ${invalid + 1}: "${field}" must be a number`;
+  }
+
+  /**
+   * Compute the totals of a table variable
+   * Amounts are added as numbers, so "₹ 1,000/-" counts as 1000; each total is
+   * rounded to two decimals. Format them in the template with filters, e.g.
+   * {{ items.total | currency:INR }}.
+   * @param {string} name - Table variable name
+   * @param {Object} definition - Table definition ({ amountField, taxRate, taxLabel })
+   * @param {*} value - Table value, already checked with check()
+   * @returns {Object} - Computed variables (see names())
+   */
+  static calculate(name, definition, value) {
+    const VariableValidator = require('./variableValidator');
+    const names = this.names(name);
+    const subtotal = this.round(this.parseRows(value).reduce((sum, row) => {
+      return VariableValidator.isEmpty(row[definition.amountField]) ? sum : sum + TemplateFilters.toNumber(row[definition.amountField]);
+    }, 0));
+
+    if (definition.taxRate === undefined) {
+      return { [names.subtotal]: subtotal, [names.total]: subtotal };
+    }
+
+    const tax = this.round(subtotal * definition.taxRate / 100);
+    return {
+      [names.subtotal]: subtotal,
+      [names.taxRate]: definition.taxRate,
+      [names.taxLabel]: definition.taxLabel || 'Tax',
+      [names.tax]: tax,
+      [names.total]: this.round(subtotal + tax)
+    };
+  }
+
+  /**
+   * Round an amount to two decimals, as totals are shown in currency
+   * @param {number} value - Amount
+   * @returns {number} - Rounded amount
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = TableTotals;
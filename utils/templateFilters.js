@@ -0,0 +1,377 @@
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+  'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Word auto-formats straight quotes into curly ones while typing
+const QUOTE_CHARS = ['"', "'", '“', '”', '‘', '’'];
+
+// Intl.supportedValuesOf needs Node 18; older versions only check the code is well-formed
+const CURRENCY_CODES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : null;
+
+class TemplateFilters {
+  /**
+   * Filters available inside tags, e.g. {{ amount | currency:INR }}
+   * Each filter receives the value followed by its arguments.
+   */
+  static get filters() {
+    return {
+      upper: (value) => String(value).toUpperCase(),
+      lower: (value) => String(value).toLowerCase(),
+      title: (value) => String(value).toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase()),
+      trim: (value) => String(value).trim(),
+      default: (value, fallback = '') => (value === '' ? fallback : value),
+      number: (value, decimals) => this.formatNumber(value, decimals),
+      currency: (value, code = 'INR', decimals) => this.formatCurrency(value, code, decimals),
+      rupees: (value, prefix = '') => this.formatRupees(value, prefix),
+      words: (value, code) => this.formatWords(value, code),
+      date: (value, format = 'DD/MM/YYYY') => this.formatDate(value, format)
+    };
+  }
+
+  /**
+   * Split a tag into its variable name and filter chain
+   * @param {string} tag - Tag content, e.g. 'ValidDate | date:"DD MMM YYYY"'
+   * @returns {Object} - Object containing name and filters ([{ name, args }])
+   */
+  static parseTag(tag) {
+    const [name, ...filterParts] = this.splitOutsideQuotes(tag, '|');
+    const filters = filterParts.map(part => {
+      const [filterName, ...args] = this.splitOutsideQuotes(part, ':');
+      return {
+        name: filterName.trim(),
+        args: args.map(arg => this.unquote(arg.trim()))
+      };
+    });
+
+    return { name: name.trim(), filters };
+  }
+
+  /**
+   * Get the variable name of a tag without any filters
+   * @param {string} tag - Tag content
+   * @returns {string} - Base variable name
+   */
+  static baseName(tag) {
+    return this.parseTag(tag).name;
+  }
+
+  /**
+   * Check that every filter in a chain exists and has usable arguments
+   * Runs when the template is compiled, so a typo such as {{ amount | currency:RUPEE }}
+   * is reported like an unknown filter instead of failing every render.
+   * @param {Array<Object>} filters - Filters from parseTag()
+   * @throws {Error} - If a filter is unknown or an argument is invalid
+   */
+  static assertKnown(filters) {
+    const available = this.filters;
+    filters.forEach(filter => {
+      if (!available[filter.name]) {
+        throw new Error(`Unknown filter "${filter.name}". Available filters: ${Object.keys(available).join(', ')}`);
+      }
+
+      const [first, second] = filter.args;
+      if (filter.name === 'number') {
+        this.assertDecimals(filter.name, first);
+      }
+      if (filter.name === 'currency') {
+        if (first !== undefined && !this.isCurrencyCode(first)) {
+          throw new Error(`Unknown currency code "${first}" in filter "currency". Use an ISO code such as INR or USD`);
+        }
+        this.assertDecimals(filter.name, second);
+      }
+    });
+  }
+
+  /**
+   * Check whether text is an ISO currency code Intl can format
+   * @param {string} code - Currency code, in any case
+   * @returns {boolean} - True if known
+   */
+  static isCurrencyCode(code) {
+    const upper = String(code).toUpperCase();
+    return CURRENCY_CODES ? CURRENCY_CODES.includes(upper) : /^[A-Z]{3}$/.test(upper);
+  }
+
+  /**
+   * Check the decimals argument of a number format filter
+   * @param {string} name - Filter name, for the error message
+   * @param {string} decimals - Argument from parseTag() (optional)
+   * @throws {Error} - If decimals is not a whole number from 0 to 20
+   */
+  static assertDecimals(name, decimals) {
+    if (decimals !== undefined && decimals !== '' && !/^(\d|1\d|20)$/.test(decimals)) {
+      throw new Error(`Invalid decimals "${decimals}" in filter "${name}". Use a whole number from 0 to 20`);
+    }
+  }
+
+  /**
+   * Apply a filter chain to a value
+   * Missing values stay empty instead of being formatted.
+   * @param {*} value - Value from the variables payload
+   * @param {Array<Object>} filters - Filters from parseTag()
+   * @returns {*} - Filtered value
+   */
+  static apply(value, filters) {
+    if (filters.length === 0) {
+      return value;
+    }
+
+    const available = this.filters;
+    return filters.reduce((current, filter) => {
+      if ((current === undefined || current === null || current === '') && filter.name !== 'default') {
+        return '';
+      }
+      return available[filter.name](current == null ? '' : current, ...filter.args);
+    }, value);
+  }
+
+  /**
+   * Format a number with Indian digit grouping (1,00,000)
+   * @param {*} value - Number or numeric string
+   * @param {string|number} decimals - Fixed number of decimals (optional)
+   * @returns {string} - Formatted number, or the original value if not numeric
+   */
+  static formatNumber(value, decimals) {
+    const number = this.toNumber(value);
+    if (number === null) {
+      return value;
+    }
+
+    const options = {};
+    if (decimals !== undefined && decimals !== '') {
+      options.minimumFractionDigits = Number(decimals);
+      options.maximumFractionDigits = Number(decimals);
+    }
+    return new Intl.NumberFormat('en-IN', options).format(number);
+  }
+
+  /**
+   * Format a currency amount, e.g. ₹1,00,000.00
+   * @param {*} value - Number or numeric string
+   * @param {string} code - ISO currency code (default INR)
+   * @param {string|number} decimals - Fixed number of decimals (optional)
+   * @returns {string} - Formatted amount, or the original value if not numeric
+   */
+  static formatCurrency(value, code = 'INR', decimals) {
+    const number = this.toNumber(value);
+    if (number === null) {
+      return value;
+    }
+
+    const options = { style: 'currency', currency: String(code).toUpperCase() };
+    if (decimals !== undefined && decimals !== '') {
+      options.minimumFractionDigits = Number(decimals);
+      options.maximumFractionDigits = Number(decimals);
+    }
+    return new Intl.NumberFormat('en-IN', options).format(number);
+  }
+
+  /**
+   * Format a rupee amount the way proposals write it by hand, e.g. 1,00,000/-
+   * The "/-" means there are no paise, so the amount is rounded to whole rupees.
+   * @param {*} value - Number or numeric string
+   * @param {string} prefix - Text before the amount, e.g. "Rs. " or "₹ " (optional)
+   * @returns {string} - Formatted amount, or the original value if not numeric
+   */
+  static formatRupees(value, prefix = '') {
+    const number = this.toNumber(value);
+    if (number === null) {
+      return value;
+    }
+
+    const rupees = new Intl.NumberFormat('en-IN', { maximumFractionDigits: 0 }).format(Math.round(number));
+    return `${prefix}${rupees}/-`;
+  }
+
+  /**
+   * Spell out an amount using Indian numbering (lakh, crore)
+   * The amount is rounded to paise first, so 12.999 reads as thirteen rupees.
+   * @param {*} value - Number or numeric string
+   * @param {string} code - Pass "INR" for "Rupees ... and ... Paise Only"
+   * @returns {string} - Amount in words, or the original value if not numeric
+   */
+  static formatWords(value, code) {
+    const number = this.toNumber(value);
+    if (number === null) {
+      return value;
+    }
+
+    const totalPaise = Math.round(Math.abs(number) * 100);
+    const rupees = Math.floor(totalPaise / 100);
+    const paise = totalPaise % 100;
+    const sign = number < 0 && totalPaise > 0 ? 'Minus ' : '';
+    const integerWords = rupees === 0 ? 'Zero' : this.integerToWords(rupees);
+
+    if (code && String(code).toUpperCase() === 'INR') {
+      const paiseWords = paise > 0 ? ` and ${this.integerToWords(paise)} Paise` : '';
+      return `${sign}Rupees ${integerWords}${paiseWords} Only`;
+    }
+
+    return `${sign}${integerWords}`;
+  }
+
+  /**
+   * Convert a positive integer to words using Indian numbering
+   * @param {number} number - Integer greater than zero
+   * @returns {string} - Number in words
+   */
+  static integerToWords(number) {
+    const parts = [];
+    const crore = Math.floor(number / 10000000);
+    const lakh = Math.floor((number % 10000000) / 100000);
+    const thousand = Math.floor((number % 100000) / 1000);
+    const hundred = Math.floor((number % 1000) / 100);
+    const rest = number % 100;
+
+    if (crore) parts.push(`${this.integerToWords(crore)} Crore`);
+    if (lakh) parts.push(`${this.twoDigitsToWords(lakh)} Lakh`);
+    if (thousand) parts.push(`${this.twoDigitsToWords(thousand)} Thousand`);
+    if (hundred) parts.push(`${ONES[hundred]} Hundred`);
+    if (rest) parts.push(this.twoDigitsToWords(rest));
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Convert a number below 100 to words
+   * @param {number} number - Integer from 1 to 99
+   * @returns {string} - Number in words
+   */
+  static twoDigitsToWords(number) {
+    if (number < 20) {
+      return ONES[number];
+    }
+    const ones = number % 10;
+    return ones ? `${TENS[Math.floor(number / 10)]} ${ONES[ones]}` : TENS[Math.floor(number / 10)];
+  }
+
+  /**
+   * Format a date using tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd
+   * @param {*} value - Date, ISO string (YYYY-MM-DD) or DD/MM/YYYY string
+   * @param {string} format - Output format
+   * @returns {string} - Formatted date, or the original value if it is not a date
+   */
+  static formatDate(value, format = 'DD/MM/YYYY') {
+    const date = this.toDate(value);
+    if (!date) {
+      return value;
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const tokens = {
+      YYYY: String(year),
+      YY: String(year).slice(-2),
+      MMMM: MONTHS[month],
+      MMM: MONTHS[month].slice(0, 3),
+      MM: String(month + 1).padStart(2, '0'),
+      M: String(month + 1),
+      dddd: WEEKDAYS[date.getUTCDay()],
+      ddd: WEEKDAYS[date.getUTCDay()].slice(0, 3),
+      DD: String(day).padStart(2, '0'),
+      D: String(day)
+    };
+
+    return format.replace(/YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D/g, token => tokens[token]);
+  }
+
+  /**
+   * Parse a numeric value, ignoring grouping, currency symbols and a trailing "/-"
+   * @param {*} value - Value to parse
+   * @returns {number|null} - Parsed number or null
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    const cleaned = String(value).trim()
+      .replace(/^(₹|rs\.?|inr|\$)\s*/i, '')
+      .replace(/\/-$/, '')
+      .replace(/,/g, '');
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : null;
+  }
+
+  /**
+   * Parse a date value as a UTC calendar date
+   * @param {*} value - Date, YYYY-MM-DD... or DD/MM/YYYY (also DD-MM-YYYY)
+   * @returns {Date|null} - Parsed date or null
+   */
+  static toDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+
+    const text = String(value).trim();
+    let match;
+    let date = null;
+
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+      date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+      date = new Date(Date.UTC(Number(match[3]), Number(match[2]) - 1, Number(match[1])));
+    }
+
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * Split text on a separator, ignoring separators inside quotes
+   * @param {string} text - Text to split
+   * @param {string} separator - Single-character separator
+   * @returns {Array<string>} - Parts
+   */
+  static splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+      if (quote) {
+        current += char;
+        if (this.closesQuote(quote, char)) {
+          quote = null;
+        }
+      } else if (QUOTE_CHARS.includes(char)) {
+        quote = char;
+        current += char;
+      } else if (char === separator) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts;
+  }
+
+  /**
+   * Check whether a character closes the given opening quote
+   * @param {string} open - Opening quote character
+   * @param {string} char - Candidate closing character
+   * @returns {boolean} - True if char closes the quote
+   */
+  static closesQuote(open, char) {
+    if (open === '“') return char === '”' || char === '"';
+    if (open === '‘') return char === '’' || char === "'";
+    return char === open;
+  }
+
+  /**
+   * Remove surrounding straight or curly quotes from a filter argument
+   * @param {string} text - Argument text
+   * @returns {string} - Unquoted argument
+   */
+  static unquote(text) {
+    if (text.length >= 2 && QUOTE_CHARS.includes(text[0]) && this.closesQuote(text[0], text[text.length - 1])) {
+      return text.slice(1, -1);
+    }
+    return text;
+  }
+}
+
+module.exports = TemplateFilters;
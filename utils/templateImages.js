@@ -0,0 +1,409 @@
+const { imageSize } = require('image-size');
+const TemplateFilters = require('./templateFilters');
+
+// Image formats Word shows, keyed by the type image-size reports
+const CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif' };
+
+// EMUs (the unit of DrawingML sizes) per unit accepted in sizes
+const EMU = { px: 9525, pt: 12700, mm: 36000, cm: 360000, in: 914400 };
+const EMU_PER_TWIP = 635;
+// Insets Word uses inside text boxes and table cells unless the template changes them
+const TEXT_BOX_INSET = { x: 91440, y: 45720 };
+const CELL_MARGIN = 108 * EMU_PER_TWIP;
+// Text width of a Letter page with 1" margins, for documents without section properties
+const DEFAULT_TEXT_WIDTH = 6.5 * EMU.in;
+
+const MODULE_NAME = 'image';
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const VALUE_FORMATS = 'Use a data: URL, { "data": base64 } or { "imageId": id } of an uploaded image';
+
+class TemplateImages {
+  /**
+   * Image formats accepted in image values and uploads
+   * @returns {Object} - Map of file extension to content type
+   */
+  static get contentTypes() {
+    return CONTENT_TYPES;
+  }
+
+  /**
+   * Start collecting the images added while rendering a template
+   * Numbering starts above relationship IDs and media names from earlier renders, so a
+   * generated document can itself be used as a template.
+   * @param {Object} zip - PizZip instance of the template
+   * @returns {Object} - { images, nextImage, nextDrawingId, textWidth }
+   */
+  static createCollection(zip) {
+    let nextImage = 1;
+    let nextDrawingId = 1;
+    zip.file(/^word\//).forEach(file => {
+      const name = file.name.match(/^word\/media\/generated-image-(\d+)\./);
+      if (name) {
+        nextImage = Math.max(nextImage, Number(name[1]) + 1);
+      }
+      if (!/\.(xml|rels)$/.test(file.name)) {
+        return;
+      }
+      const xml = file.asText();
+      for (const match of xml.matchAll(/Id="rIdImage(\d+)"/g)) {
+        nextImage = Math.max(nextImage, Number(match[1]) + 1);
+      }
+      for (const match of xml.matchAll(/<wp:docPr\b[^>]*?\bid="(\d+)"/g)) {
+        nextDrawingId = Math.max(nextDrawingId, Number(match[1]) + 1);
+      }
+    });
+
+    const document = zip.file('word/document.xml');
+    return {
+      images: [],
+      nextImage,
+      nextDrawingId,
+      textWidth: this.getTextWidth(document ? document.asText() : '')
+    };
+  }
+
+  /**
+   * Create the docxtemplater module that renders "{{%name}}" tags as inline pictures
+   * @param {Object} collection - State from createCollection(), filled while rendering
+   * @returns {Object} - docxtemplater module
+   */
+  static createModule(collection) {
+    return {
+      name: 'TemplateImagesModule',
+      matchers: () => [['%', MODULE_NAME]],
+      postparse: (postparsed) => {
+        this.measureBoxes(postparsed);
+        return postparsed;
+      },
+      render: (part, options) => {
+        if (part.module !== MODULE_NAME) {
+          return null;
+        }
+        try {
+          const value = options.scopeManager.getValue(part.value, { part });
+          return { value: this.renderImage(collection, options.filePath, part, value) };
+        } catch (error) {
+          return { errors: [error] };
+        }
+      }
+    };
+  }
+
+  /**
+   * Read the size options of an image tag, e.g. "{{%logo | width:4cm | height:2cm}}"
+   * Sizes are in px unless they end in pt, mm, cm or in.
+   * @param {Array<Object>} filters - Filters from TemplateFilters.parseTag()
+   * @returns {Object} - { width, height } in EMUs, each undefined when not given
+   * @throws {Error} - If an option is unknown or its size is invalid
+   */
+  static parseOptions(filters) {
+    const options = {};
+    filters.forEach(filter => {
+      if (filter.name !== 'width' && filter.name !== 'height') {
+        throw new Error(`Unknown image option "${filter.name}". Use width and height, e.g. {{%logo | width:4cm}}`);
+      }
+      const length = this.toLength(filter.args[0]);
+      if (!length) {
+        throw new Error(`Image ${filter.name} must be a size such as 120, 90pt, 4cm or 1.5in`);
+      }
+      options[filter.name] = length;
+    });
+    return options;
+  }
+
+  /**
+   * Convert a size to EMUs
+   * @param {number|string} size - Pixels, or text with a px, pt, mm, cm or in unit
+   * @returns {number|null} - EMUs, or null if the size is missing or invalid
+   */
+  static toLength(size) {
+    const match = String(size === undefined || size === null ? '' : size).trim().match(/^(\d+(?:\.\d+)?)\s*(px|pt|mm|cm|in)?$/i);
+    if (!match || Number(match[1]) === 0) {
+      return null;
+    }
+    return Math.round(Number(match[1]) * EMU[(match[2] || 'px').toLowerCase()]);
+  }
+
+  /**
+   * Decode an image value
+   * @param {*} value - Data URL, Buffer, or { data, width, height } where data is base64,
+   *   a data URL or a Buffer and width/height are sizes as in toLength()
+   * @returns {Object} - { data, type, width, height, requested: { width, height } }, sizes in EMUs
+   * @throws {Error} - If the value is not a PNG, JPEG or GIF image
+   */
+  static readValue(value) {
+    const options = value && typeof value === 'object' && !Buffer.isBuffer(value) ? value : { data: value };
+    let data = options.data;
+    if (typeof data === 'string') {
+      const dataUrl = data.match(/^data:image\/[\w.+-]+;base64,/i);
+      // A bare string must be a data URL; { data } may also hold plain base64
+      if (dataUrl || options === value) {
+        data = Buffer.from(dataUrl ? data.slice(dataUrl[0].length) : data, 'base64');
+      }
+    }
+    if (options.imageId !== undefined && data === undefined) {
+      throw new Error(`Image ${options.imageId} was not loaded`);
+    }
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new Error(`Not an image. ${VALUE_FORMATS}`);
+    }
+
+    let size;
+    try {
+      size = imageSize(data);
+    } catch (_) {
+      size = {};
+    }
+    if (!CONTENT_TYPES[size.type] || !size.width || !size.height) {
+      throw new Error('Images must be PNG, JPEG or GIF');
+    }
+
+    return {
+      data,
+      type: size.type,
+      width: size.width * EMU.px,
+      height: size.height * EMU.px,
+      requested: { width: this.toLength(options.width), height: this.toLength(options.height) }
+    };
+  }
+
+  /**
+   * Check an image value without rendering it
+   * @param {*} value - Image value (see readValue())
+   * @returns {string|null} - Error message, or null for valid and empty values
+   */
+  static checkValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    try {
+      this.readValue(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Replace inline image data in a variables payload, so records and the audit log
+   * keep the other values without megabytes of base64
+   * @param {*} values - Variables payload, a value in it, or an array of payloads
+   * @returns {*} - Copy with "[image]" in place of image data
+   */
+  static withoutData(values) {
+    if (Array.isArray(values)) {
+      return values.map(value => this.withoutData(value));
+    }
+    if (typeof values === 'string') {
+      return /^data:image\//i.test(values) ? '[image]' : values;
+    }
+    if (values && typeof values === 'object' && !Buffer.isBuffer(values)) {
+      if (values.data !== undefined && this.checkValue(values) === null) {
+        return { ...values, data: '[image]' };
+      }
+      return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, this.withoutData(value)]));
+    }
+    return values;
+  }
+
+  /**
+   * Record on each image tag the box it sits in: the text box or table cell around it
+   * Loops hold their parts in subparsed; they are followed so the XML before a tag is complete.
+   * @param {Array<Object>} postparsed - Parsed parts of one XML file
+   * @param {string} before - XML preceding these parts
+   * @returns {string} - XML up to the end of these parts
+   */
+  static measureBoxes(postparsed, before = '') {
+    let xml = before;
+    postparsed.forEach(part => {
+      if (part.subparsed) {
+        xml = this.measureBoxes(part.subparsed, xml);
+      } else if (part.type === 'placeholder') {
+        if (part.module === MODULE_NAME) {
+          part.box = this.findBox(xml);
+        }
+      } else if (typeof part.value === 'string') {
+        xml += part.value;
+      }
+    });
+    return xml;
+  }
+
+  /**
+   * Find the box a tag is placed in from the XML before it
+   * @param {string} xml - XML preceding the tag
+   * @returns {Object|null} - { width, height } in EMUs (height null for table cells), or null
+   */
+  static findBox(xml) {
+    const textBox = xml.lastIndexOf('<w:txbxContent');
+    if (textBox > xml.lastIndexOf('</w:txbxContent>')) {
+      const extentAt = xml.lastIndexOf('<wp:extent ', textBox);
+      const extent = extentAt === -1 ? null : xml.slice(extentAt, textBox).match(/^<wp:extent cx="(\d+)" cy="(\d+)"/);
+      if (extent) {
+        return {
+          width: Math.max(Number(extent[1]) - 2 * TEXT_BOX_INSET.x, 0),
+          height: Math.max(Number(extent[2]) - 2 * TEXT_BOX_INSET.y, 0)
+        };
+      }
+    }
+
+    const cell = Math.max(xml.lastIndexOf('<w:tc>'), xml.lastIndexOf('<w:tc '));
+    if (cell > xml.lastIndexOf('</w:tc>')) {
+      const width = xml.slice(cell).match(/<w:tcW w:w="(\d+)" w:type="dxa"/);
+      if (width) {
+        return { width: Math.max(Number(width[1]) * EMU_PER_TWIP - 2 * CELL_MARGIN, 0), height: null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Work out the size of an image
+   * A size in the value wins over the tag options; a missing width or height follows the
+   * aspect ratio. Without either, the image is fitted into its box, or shrunk to the text width.
+   * @param {Object} image - Image from readValue()
+   * @param {Object} options - Tag options from parseOptions()
+   * @param {Object|null} box - Box from findBox()
+   * @param {number} textWidth - Text width of the page in EMUs
+   * @returns {Object} - { width, height } in EMUs
+   */
+  static fitSize(image, options, box, textWidth) {
+    const ratio = image.height / image.width;
+    let width = image.requested.width || (image.requested.height ? null : options.width);
+    let height = image.requested.height || (image.requested.width ? null : options.height);
+
+    if (width && !height) {
+      height = width * ratio;
+    } else if (height && !width) {
+      width = height / ratio;
+    } else if (!width && !height) {
+      let scale = Math.min(1, textWidth / image.width);
+      if (box && box.width > 0) {
+        scale = box.height > 0 ? Math.min(box.width / image.width, box.height / image.height) : Math.min(1, box.width / image.width);
+      }
+      width = image.width * scale;
+      height = image.height * scale;
+    }
+
+    return { width: Math.round(width), height: Math.round(height) };
+  }
+
+  /**
+   * Render one image tag
+   * The picture goes into the tag's run, so text around the tag stays where it is.
+   * @param {Object} collection - State from createCollection()
+   * @param {string} filePath - Part being rendered, e.g. "word/header1.xml"
+   * @param {Object} part - Parsed image tag
+   * @param {*} value - Image value (see readValue())
+   * @returns {string} - WordprocessingML replacing the tag; empty for empty values
+   */
+  static renderImage(collection, filePath, part, value) {
+    const { name, filters } = TemplateFilters.parseTag(part.value);
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+
+    let image;
+    try {
+      image = this.readValue(value);
+    } catch (error) {
+      throw new Error(`Image {{%${name}}}: ${error.message}`);
+    }
+    const size = this.fitSize(image, this.parseOptions(filters), part.box, collection.textWidth);
+
+    // The same image used twice in a part (e.g. in a loop) is stored once
+    let entry = collection.images.find(existing => existing.part === filePath && existing.data === image.data);
+    if (!entry) {
+      const number = collection.nextImage++;
+      entry = {
+        part: filePath,
+        rId: `rIdImage${number}`,
+        target: `media/generated-image-${number}.${image.type}`,
+        type: image.type,
+        data: image.data
+      };
+      collection.images.push(entry);
+    }
+
+    return `</w:t>${this.drawingXml(entry.rId, collection.nextDrawingId++, name, size)}<w:t xml:space="preserve">`;
+  }
+
+  /**
+   * Add the rendered images, their relationships and content types to the document
+   * @param {Object} zip - PizZip instance of the rendered document
+   * @param {Object} collection - State from createCollection()
+   */
+  static writeImages(zip, collection) {
+    collection.images.forEach(entry => {
+      zip.file(`word/${entry.target}`, entry.data, { binary: true });
+
+      // word/header1.xml -> word/_rels/header1.xml.rels
+      const relsPath = entry.part.replace(/([^/]+)$/, '_rels/$1.rels');
+      const relsFile = zip.file(relsPath);
+      const rels = (relsFile
+        ? relsFile.asText()
+        : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"/>'
+      ).replace(/<Relationships([^>]*?)\/>/, '<Relationships$1></Relationships>');
+      zip.file(relsPath, rels.replace('</Relationships>',
+        `<Relationship Id="${entry.rId}" Type="${RELATIONSHIP_TYPE}" Target="${entry.target}"/></Relationships>`));
+    });
+
+    const types = [...new Set(collection.images.map(entry => entry.type))];
+    if (types.length > 0) {
+      let contentTypes = zip.file('[Content_Types].xml').asText();
+      types.forEach(type => {
+        if (!new RegExp(`<Default Extension="${type}"`, 'i').test(contentTypes)) {
+          contentTypes = contentTypes.replace('</Types>', `<Default Extension="${type}" ContentType="${CONTENT_TYPES[type]}"/></Types>`);
+        }
+      });
+      zip.file('[Content_Types].xml', contentTypes);
+    }
+  }
+
+  /**
+   * Get the text width of a document's last section
+   * @param {string} xml - word/document.xml
+   * @returns {number} - Page width minus left and right margins, in EMUs
+   */
+  static getTextWidth(xml) {
+    const pageSizes = xml.match(/<w:pgSz\b[^>]*>/g);
+    const margins = xml.match(/<w:pgMar\b[^>]*>/g);
+    if (!pageSizes || !margins) {
+      return DEFAULT_TEXT_WIDTH;
+    }
+    const attribute = (tag, name) => Number((tag.match(new RegExp(`w:${name}="(\\d+)"`)) || [])[1] || 0);
+    const pageSize = pageSizes[pageSizes.length - 1];
+    const margin = margins[margins.length - 1];
+    const width = (attribute(pageSize, 'w') - attribute(margin, 'left') - attribute(margin, 'right')) * EMU_PER_TWIP;
+    return width > 0 ? width : DEFAULT_TEXT_WIDTH;
+  }
+
+  /**
+   * Build an inline picture
+   * Namespaces are declared on the elements, since headers and documents made by other
+   * tools do not always declare them on the root.
+   * @param {string} rId - Relationship ID of the image in the part
+   * @param {number} id - Drawing ID, unique in the document
+   * @param {string} name - Variable name, used as the picture's description
+   * @param {Object} size - { width, height } in EMUs
+   * @returns {string} - <w:drawing> element
+   */
+  static drawingXml(rId, id, name, size) {
+    const description = name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return '<w:drawing>' +
+      '<wp:inline xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" distT="0" distB="0" distL="0" distR="0">' +
+      `<wp:extent cx="${size.width}" cy="${size.height}"/>` +
+      '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+      `<wp:docPr id="${id}" name="Picture ${id}" descr="${description}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+      '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}" descr="${description}"/><pic:cNvPicPr><a:picLocks noChangeAspect="1"/></pic:cNvPicPr></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${size.width}" cy="${size.height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+  }
+}
+
+module.exports = TemplateImages;
@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const PizZip = require('pizzip');
+const DocxProcessor = require('./docxProcessor');
+const TemplateScanner = require('./templateScanner');
+const TemplateFilters = require('./templateFilters');
+
+// Loop errors from docxtemplater that the section check already reports by name
+const SECTION_ERROR_IDS = ['unclosed_loop', 'unopened_loop', 'closing_tag_does_not_match_opening_tag'];
+
+// Brace errors from docxtemplater that the scanner already reports with their paragraph
+const DELIMITER_ERROR_IDS = ['unclosed_tag', 'unopened_tag', 'duplicate_open_tag', 'duplicate_close_tag'];
+
+// Scanner findings that stop docxtemplater from compiling the template
+const BLOCKING_MALFORMED = ['unclosed', 'unopened'];
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+class TemplateLinter {
+  /**
+   * Check a template file, and the stored record that describes it, for problems
+   * Issues are { severity, code, message } with variable, part, locations or
+   * context where they apply. Errors stop the template from generating; warnings
+   * usually mean a value will be missing from the output.
+   * @param {string} filePath - Path to the DOCX file
+   * @param {Object} record - Stored { variables, savedValues, schema } to compare with the file
+   * @returns {Promise<Object>} - { variables, issues, summary: { errors, warnings, info } }
+   */
+  static async lint(filePath, record = {}) {
+    const content = await fs.readFile(filePath);
+    const { tags, malformed } = TemplateScanner.scan(new PizZip(content));
+    const { variables, warnings: sectionWarnings } = DocxProcessor.parseStructure(tags.map(entry => entry.tag));
+    const locations = TemplateScanner.locations(tags);
+
+    const issues = [
+      ...this.checkCompile(content, malformed, sectionWarnings.length > 0),
+      ...this.checkMalformed(malformed),
+      ...sectionWarnings.map(message => ({ severity: 'error', code: 'unbalanced-section', message })),
+      ...this.checkDuplicateNames(tags),
+      ...this.checkStoredRecord(variables, record),
+      ...this.checkOutsideBody(variables, locations)
+    ];
+
+    issues.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    return {
+      variables,
+      issues,
+      summary: {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        info: issues.filter(issue => issue.severity === 'info').length
+      }
+    };
+  }
+
+  /**
+   * Compile the template the way generation does and report what docxtemplater rejects
+   * @param {Buffer} content - DOCX file content
+   * @param {Array<Object>} malformed - Scanner findings, to skip brace errors already reported
+   * @param {boolean} sectionsReported - Whether unbalanced sections were already reported
+   * @returns {Array<Object>} - Issues
+   */
+  static checkCompile(content, malformed, sectionsReported) {
+    try {
+      // Errors are returned as issues, so docxtemplater need not log them too
+      DocxProcessor.createDocxtemplater(new PizZip(content), { errorLogging: false });
+      return [];
+    } catch (error) {
+      const scannedParts = malformed
+        .filter(entry => BLOCKING_MALFORMED.includes(entry.code))
+        .map(entry => entry.part);
+
+      return DocxProcessor.getTemplateErrors(error)
+        .filter(entry => !(sectionsReported && SECTION_ERROR_IDS.includes(entry.id)))
+        .filter(entry => !(DELIMITER_ERROR_IDS.includes(entry.id) && scannedParts.includes(entry.part)))
+        .map(entry => ({
+          severity: 'error',
+          code: 'invalid-tag',
+          message: entry.message,
+          ...(entry.part && { part: entry.part }),
+          ...(entry.context && { context: entry.context })
+        }));
+    }
+  }
+
+  /**
+   * Report tags the scanner found malformed, or that will be left untouched
+   * @param {Array<Object>} malformed - Entries from TemplateScanner.scan()
+   * @returns {Array<Object>} - Issues
+   */
+  static checkMalformed(malformed) {
+    return malformed.map(entry => ({
+      severity: BLOCKING_MALFORMED.includes(entry.code) ? 'error' : 'warning',
+      code: 'malformed-tag',
+      message: TemplateScanner.describe(entry),
+      text: entry.text,
+      part: entry.part,
+      locations: [{ location: entry.location, part: entry.part, paragraph: entry.paragraph }]
+    }));
+  }
+
+  /**
+   * Report variable names that differ only in case or spacing
+   * docxtemplater treats {{NAME}} and {{name}} as two variables, so one of them
+   * ends up empty unless both are filled in.
+   * @param {Array<Object>} tags - Tags from TemplateScanner.scan()
+   * @returns {Array<Object>} - Issues
+   */
+  static checkDuplicateNames(tags) {
+    const groups = {};
+    tags.forEach(({ tag, part, location, paragraph }) => {
+      if (tag.startsWith('/')) {
+        return;
+      }
+      const name = TemplateFilters.baseName(/^[#^@%]/.test(tag) ? tag.slice(1) : tag);
+      const key = name.toLowerCase().replace(/\s+/g, '');
+      const spellings = groups[key] = groups[key] || {};
+      (spellings[name] = spellings[name] || []).push({ location, part, paragraph });
+    });
+
+    return Object.values(groups)
+      .filter(spellings => Object.keys(spellings).length > 1)
+      .map(spellings => {
+        const names = Object.keys(spellings);
+        return {
+          severity: 'warning',
+          code: 'duplicate-name',
+          message: `${names.map(name => `"${name}"`).join(', ')} differ only in case or spacing and are filled in separately; use one spelling`,
+          variables: names,
+          locations: names.flatMap(name => spellings[name].map(entry => ({ variable: name, ...entry })))
+        };
+      });
+  }
+
+  /**
+   * Compare the stored variable list, saved values and schema with the file
+   * @param {Array<string>} variables - Top-level variables found in the file
+   * @param {Object} record - Stored { variables, savedValues, schema }
+   * @returns {Array<Object>} - Issues
+   */
+  static checkStoredRecord(variables, record) {
+    const issues = [];
+    const stored = record.variables || [];
+
+    stored.filter(name => !variables.includes(name)).forEach(name => issues.push({
+      severity: 'warning',
+      code: 'stale-variable-list',
+      message: `The stored variable list includes "${name}", which is not a tag in the template`,
+      variable: name
+    }));
+    variables.filter(name => !stored.includes(name)).forEach(name => issues.push({
+      severity: 'warning',
+      code: 'stale-variable-list',
+      message: `"${name}" is a tag in the template but is missing from the stored variable list`,
+      variable: name
+    }));
+
+    Object.keys(record.savedValues || {}).filter(name => !variables.includes(name)).forEach(name => issues.push({
+      severity: 'warning',
+      code: 'stale-saved-value',
+      message: `A value is saved for "${name}", which is not a tag in the template`,
+      variable: name
+    }));
+    Object.keys(record.schema || {}).filter(name => !variables.includes(name)).forEach(name => issues.push({
+      severity: 'warning',
+      code: 'stale-schema',
+      message: `The schema defines "${name}", which is not a tag in the template`,
+      variable: name
+    }));
+
+    return issues;
+  }
+
+  /**
+   * Note variables that only appear outside the body, where they are easy to miss
+   * @param {Array<string>} variables - Top-level variables found in the file
+   * @param {Object} locations - Map from TemplateScanner.locations()
+   * @returns {Array<Object>} - Issues
+   */
+  static checkOutsideBody(variables, locations) {
+    return variables
+      .filter(name => locations[name] && locations[name].every(entry => entry.location !== 'body' && entry.location !== 'textBox'))
+      .map(name => {
+        const places = [...new Set(locations[name].map(entry => `${entry.location} (${entry.part})`))];
+        return {
+          severity: 'info',
+          code: 'variable-outside-body',
+          message: `"${name}" only appears in the ${places.join(', ')}, not in the body text`,
+          variable: name,
+          locations: locations[name]
+        };
+      });
+  }
+}
+
+module.exports = TemplateLinter;
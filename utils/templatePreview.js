@@ -0,0 +1,83 @@
+const mammoth = require('mammoth');
+const sanitizeHtml = require('sanitize-html');
+const DocxProcessor = require('./docxProcessor');
+const PdfConverter = require('./pdfConverter');
+const TemplateFilters = require('./templateFilters');
+
+// Private-use characters wrapped around each value while rendering; they survive the
+// DOCX to HTML conversion as text and are swapped for <mark> elements after sanitizing
+const MARK_FILLED = '\uE000';
+const MARK_UNFILLED = '\uE001';
+const MARK_END = '\uE002';
+const MARKS = /[\uE000-\uE002]/g;
+
+// What mammoth produces from a DOCX; anything else is dropped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'strong', 'em', 'u', 's', 'sup', 'sub',
+    'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'img'
+  ],
+  allowedAttributes: {
+    a: ['href', 'id'],
+    img: ['src', 'alt'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['data'] },
+  allowProtocolRelative: false
+};
+
+class TemplatePreview {
+  /**
+   * Fill a template and show it as HTML, with filled values and unfilled placeholders marked
+   * Filled values are wrapped in <mark class="filled">; placeholders
+   * without a value stay as {{tag}} inside <mark class="unfilled">. Headers and footers
+   * are not part of the HTML.
+   * @param {string} templatePath - Path to template DOCX file
+   * @param {Object} variables - Variables to fill in
+   * @returns {Promise<Object>} - { html, filled, unfilled, messages }
+   */
+  static async render(templatePath, variables) {
+    const filled = new Set();
+    const unfilled = new Set();
+
+    const buffer = await DocxProcessor.renderTemplate(templatePath, variables, {
+      formatValue: (value, tag) => {
+        const name = TemplateFilters.baseName(tag);
+        if (value === undefined || value === null || value === '') {
+          unfilled.add(name);
+          return `${MARK_UNFILLED}{{${tag}}}${MARK_END}`;
+        }
+        filled.add(name);
+        return `${MARK_FILLED}${String(value).replace(MARKS, '')}${MARK_END}`;
+      }
+    });
+
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer }, {
+      styleMap: PdfConverter.htmlStyleMap
+    });
+
+    return {
+      html: this.highlight(sanitizeHtml(html, SANITIZE_OPTIONS)),
+      filled: [...filled],
+      // A variable used twice counts as filled if any use of it had a value
+      unfilled: [...unfilled].filter(name => !filled.has(name)),
+      messages: messages.map(message => message.message)
+    };
+  }
+
+  /**
+   * Replace the value marks in sanitized HTML with <mark> elements
+   * @param {string} html - Sanitized HTML
+   * @returns {string} - HTML with highlights
+   */
+  static highlight(html) {
+    return html
+      .replace(new RegExp(MARK_FILLED, 'g'), '<mark class="filled">')
+      .replace(new RegExp(MARK_UNFILLED, 'g'), '<mark class="unfilled">')
+      .replace(new RegExp(MARK_END, 'g'), '</mark>');
+  }
+}
+
+module.exports = TemplatePreview;
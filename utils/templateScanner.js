@@ -0,0 +1,237 @@
+const TemplateFilters = require('./templateFilters');
+
+// Parts docxtemplater fills in, found by their content type, in the order their tags are reported
+const SCANNED_PARTS = [
+  { contentType: /\.(document|template)\.main\+xml$/, location: 'body' },
+  { contentType: /\.header\+xml$/, location: 'header' },
+  { contentType: /\.footer\+xml$/, location: 'footer' },
+  { contentType: /\.footnotes\+xml$/, location: 'footnote' },
+  { contentType: /\.comments\+xml$/, location: 'comment' }
+];
+
+// Scanned only to warn: docxtemplater leaves tags in endnotes untouched
+const UNRENDERED_PARTS = [
+  { contentType: /\.endnotes\+xml$/, location: 'endnote' }
+];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class TemplateScanner {
+  /**
+   * Scan every part of a DOCX for template tags
+   * Text is joined per paragraph from its w:t runs, so tags that Word split across
+   * runs, proofing marks, bookmarks or field results are still found. Field codes,
+   * deleted (tracked) text and the VML fallback copies of text boxes are skipped.
+   * @param {Object} zip - PizZip instance of the DOCX
+   * @returns {Object} - { tags, malformed }: tags are { tag, part, location, paragraph } in document
+   *   order; malformed are { text, code, message, part, location, paragraph }
+   */
+  static scan(zip) {
+    const tags = [];
+    const malformed = [];
+
+    this.listParts(zip, SCANNED_PARTS).forEach(({ name, location }) => {
+      this.readParagraphs(zip.file(name).asText(), location).forEach(paragraph => {
+        const found = this.findTags(paragraph.text);
+        const where = { part: name, location: paragraph.location, paragraph: paragraph.index };
+        found.tags.forEach(tag => tags.push({ tag, ...where }));
+        found.malformed.forEach(entry => malformed.push({ ...entry, ...where }));
+      });
+    });
+
+    this.listParts(zip, UNRENDERED_PARTS).forEach(({ name, location }) => {
+      this.readParagraphs(zip.file(name).asText(), location).forEach(paragraph => {
+        this.findTags(paragraph.text).tags.forEach(tag => malformed.push({
+          text: `{{${tag}}}`,
+          code: 'unrendered',
+          message: 'Tags in endnotes are not filled in; move it to the body or a footnote',
+          part: name,
+          location: paragraph.location,
+          paragraph: paragraph.index
+        }));
+      });
+    });
+
+    return { tags, malformed };
+  }
+
+  /**
+   * Group tag occurrences by variable name
+   * Closing tags ({{/items}}) are left out; sections and rich-text tags are listed without their prefix.
+   * @param {Array<Object>} tags - Tags as returned by scan()
+   * @returns {Object} - Map of variable name to [{ location, part, paragraph }]
+   */
+  static locations(tags) {
+    const locations = {};
+    tags.forEach(({ tag, part, location, paragraph }) => {
+      if (tag.startsWith('/')) {
+        return;
+      }
+      const name = TemplateFilters.baseName(/^[#^@%]/.test(tag) ? tag.slice(1) : tag);
+      (locations[name] = locations[name] || []).push({ location, part, paragraph });
+    });
+    return locations;
+  }
+
+  /**
+   * Describe a malformed tag for a warnings list
+   * @param {Object} entry - Entry from scan().malformed
+   * @returns {string} - Message with the place the tag was found
+   */
+  static describe(entry) {
+    const place = entry.location === 'textBox' ? 'text box' : entry.location;
+    return `${entry.message}: "${entry.text}" (${place}, paragraph ${entry.paragraph} of ${entry.part})`;
+  }
+
+  /**
+   * Find the parts of a DOCX with the given content types, in the order of the list
+   * @param {Object} zip - PizZip instance
+   * @param {Array<Object>} kinds - { contentType, location } entries
+   * @returns {Array<Object>} - { name, location } per part
+   */
+  static listParts(zip, kinds) {
+    const contentTypes = zip.file('[Content_Types].xml');
+    const overrides = [];
+    const pattern = /<Override\b[^>]*>/g;
+    let match;
+    while ((match = pattern.exec(contentTypes ? contentTypes.asText() : '')) !== null) {
+      const partName = match[0].match(/PartName="\/?([^"]+)"/);
+      const contentType = match[0].match(/ContentType="([^"]+)"/);
+      if (partName && contentType && zip.file(partName[1])) {
+        overrides.push({ name: partName[1], contentType: contentType[1] });
+      }
+    }
+
+    return kinds.flatMap(({ contentType, location }) => overrides
+      .filter(part => contentType.test(part.contentType))
+      .map(part => part.name)
+      // header2.xml before header10.xml
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(name => ({ name, location })));
+  }
+
+  /**
+   * Read the visible text of each paragraph in a WordprocessingML part
+   * Paragraphs inside text boxes are reported with the 'textBox' location.
+   * @param {string} xml - Part XML
+   * @param {string} location - Location of the part ('body', 'header', ...)
+   * @returns {Array<Object>} - { index, location, text } per paragraph, index counting from 1
+   */
+  static readParagraphs(xml, location) {
+    const paragraphs = [];
+    const open = [];
+    let count = 0;
+    let inText = false;
+    let textBoxDepth = 0;
+    let fallbackDepth = 0;
+
+    const tokens = /<[^>]*>|[^<]+/g;
+    let match;
+    while ((match = tokens.exec(xml)) !== null) {
+      const token = match[0];
+
+      if (token[0] !== '<') {
+        if (inText && fallbackDepth === 0 && open.length > 0) {
+          open[open.length - 1].text += this.decodeXml(token);
+        }
+        continue;
+      }
+      if (token[1] === '?' || token[1] === '!') {
+        continue;
+      }
+
+      const closing = token[1] === '/';
+      const selfClosing = token.endsWith('/>');
+      const name = token.slice(closing ? 2 : 1).match(/^[^\s/>]+/)[0];
+
+      if (name === 'mc:Fallback') {
+        fallbackDepth += closing ? -1 : (selfClosing ? 0 : 1);
+      } else if (fallbackDepth > 0) {
+        continue;
+      } else if (name === 'w:txbxContent') {
+        textBoxDepth += closing ? -1 : (selfClosing ? 0 : 1);
+      } else if (name === 'w:t') {
+        inText = !closing && !selfClosing;
+      } else if (name === 'w:p' && !selfClosing) {
+        if (closing) {
+          const paragraph = open.pop();
+          if (paragraph) {
+            paragraphs.push(paragraph);
+          }
+        } else {
+          open.push({ index: ++count, location: textBoxDepth > 0 ? 'textBox' : location, text: '' });
+        }
+      }
+    }
+
+    return paragraphs.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Find the tags in the text of one paragraph, and the tags that are malformed
+   * A tag must open and close within its paragraph.
+   * @param {string} text - Paragraph text
+   * @returns {Object} - { tags, malformed }: trimmed tag contents, and { text, code, message } entries
+   *   with code 'unopened', 'unclosed', 'empty', 'single-braces' or 'full-width-braces'
+   */
+  static findTags(text) {
+    const tags = [];
+    const malformed = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const start = text.indexOf('{{', position);
+      const stray = text.indexOf('}}', position);
+
+      if (stray !== -1 && (start === -1 || stray < start)) {
+        malformed.push({ text: this.excerpt(text, stray, stray + 2), code: 'unopened', message: 'Closing braces without an opening "{{"' });
+        position = stray + 2;
+        continue;
+      }
+      if (start === -1) {
+        break;
+      }
+
+      const end = text.indexOf('}}', start + 2);
+      const next = text.indexOf('{{', start + 2);
+      if (end === -1 || (next !== -1 && next < end)) {
+        const until = next !== -1 && (end === -1 || next < end) ? next : text.length;
+        malformed.push({ text: text.slice(start, Math.min(until, start + 40)).trim(), code: 'unclosed', message: 'Tag is not closed with "}}"' });
+        position = start + 2;
+        continue;
+      }
+
+      const content = text.slice(start + 2, end).trim();
+      if (content) {
+        tags.push(content);
+      } else {
+        malformed.push({ text: text.slice(start, end + 2), code: 'empty', message: 'Tag is empty' });
+      }
+      position = end + 2;
+    }
+
+    // Look-alikes that docxtemplater does not recognise as tags
+    const lookAlikes = /[{｛]{2}[^{}｛｝]*[}｝]{2}|(^|[^{])\{([A-Za-z_][\w.]*)\}(?!\})/g;
+    let match;
+    while ((match = lookAlikes.exec(text)) !== null) {
+      if (match[2]) {
+        malformed.push({ text: match[0].slice(match[1].length), code: 'single-braces', message: `Tag uses single braces; write it as {{${match[2]}}}` });
+      } else if (/[｛｝]/.test(match[0])) {
+        malformed.push({ text: match[0], code: 'full-width-braces', message: 'Tag uses full-width braces; type them as {{ and }}' });
+      }
+    }
+
+    return { tags, malformed };
+  }
+
+  static excerpt(text, start, end) {
+    return text.slice(Math.max(0, start - 20), end).trim();
+  }
+
+  // Only the predefined entities: docxtemplater reads numeric references such as &#123; literally
+  static decodeXml(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]);
+  }
+}
+
+module.exports = TemplateScanner;
@@ -0,0 +1,287 @@
+const TableTotals = require('./tableTotals');
+
+const VARIABLE_TYPES = ['text', 'number', 'date', 'currency', 'email', 'phone', 'enum', 'richtext', 'table'];
+
+// Patterns run on every generated document, so keep them small enough to stay fast
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT = 1000;
+
+class VariableValidator {
+  /**
+   * Supported variable types
+   * @returns {Array<string>} - Type names
+   */
+  static get types() {
+    return VARIABLE_TYPES;
+  }
+
+  /**
+   * Validate and normalize a schema definition sent by a client
+   * @param {Object} schema - Map of variable name to definition
+   * @param {Array<string>} knownVariables - Variables found in the template
+   * @returns {Object} - Object containing the normalized schema and field errors
+   */
+  static normalizeSchema(schema, knownVariables) {
+    const normalized = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, definition]) => {
+      if (!knownVariables.includes(field)) {
+        errors.push({ field, message: 'Variable does not exist in this template' });
+        return;
+      }
+
+      // null removes the definition for a variable
+      if (definition === null) {
+        normalized[field] = null;
+        return;
+      }
+
+      if (typeof definition !== 'object' || Array.isArray(definition)) {
+        errors.push({ field, message: 'Definition must be an object' });
+        return;
+      }
+
+      const type = definition.type || 'text';
+      if (!VARIABLE_TYPES.includes(type)) {
+        errors.push({ field, message: `Unknown type "${type}". Use one of: ${VARIABLE_TYPES.join(', ')}` });
+        return;
+      }
+
+      const entry = { type, required: Boolean(definition.required) };
+
+      if (definition.pattern !== undefined && definition.pattern !== null && definition.pattern !== '') {
+        const pattern = String(definition.pattern);
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+          errors.push({ field, message: `Pattern must be at most ${MAX_PATTERN_LENGTH} characters` });
+          return;
+        }
+        try {
+          new RegExp(pattern);
+        } catch (_) {
+          errors.push({ field, message: 'Pattern is not a valid regular expression' });
+          return;
+        }
+        if (!this.isSafePattern(pattern)) {
+          errors.push({ field, message: 'Pattern repeats a group that itself repeats or has alternatives, e.g. (a+)+; this can take forever to check' });
+          return;
+        }
+        entry.pattern = pattern;
+      }
+
+      if (type === 'enum') {
+        if (!Array.isArray(definition.options) || definition.options.length === 0) {
+          errors.push({ field, message: 'Enum variables need a non-empty options array' });
+          return;
+        }
+        entry.options = definition.options.map(String);
+      }
+
+      if (type === 'table') {
+        entry.amountField = definition.amountField ? String(definition.amountField) : 'amount';
+        if (definition.taxRate !== undefined && definition.taxRate !== null && definition.taxRate !== '') {
+          const taxRate = Number(definition.taxRate);
+          if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+            errors.push({ field, message: 'Tax rate must be a percentage between 0 and 100' });
+            return;
+          }
+          entry.taxRate = taxRate;
+        }
+        if (definition.taxLabel !== undefined && definition.taxLabel !== null && definition.taxLabel !== '') {
+          entry.taxLabel = String(definition.taxLabel);
+        }
+      }
+
+      if (definition.help !== undefined && definition.help !== null) {
+        entry.help = String(definition.help);
+      }
+
+      if (definition.default !== undefined && definition.default !== null && definition.default !== '') {
+        const defaultError = this.validateValue(entry, definition.default);
+        if (defaultError) {
+          errors.push({ field, message: `Default value is invalid: ${defaultError}` });
+          return;
+        }
+        entry.default = definition.default;
+      }
+
+      normalized[field] = entry;
+    });
+
+    return { schema: normalized, errors };
+  }
+
+  /**
+   * Validate a variables payload against a template schema
+   * Missing optional values fall back to the schema default, and table variables
+   * add their computed totals (see TableTotals).
+   * @param {Object} schema - Map of variable name to definition
+   * @param {Object} variables - Variables payload
+   * @returns {Object} - Object containing the values to render and field errors
+   */
+  static validate(schema, variables) {
+    const values = { ...(variables || {}) };
+    const errors = [];
+
+    Object.entries(schema || {}).forEach(([field, definition]) => {
+      if (this.isEmpty(values[field]) && definition.default !== undefined) {
+        values[field] = definition.default;
+      }
+
+      if (this.isEmpty(values[field])) {
+        if (definition.required) {
+          errors.push({ field, message: 'This field is required' });
+        }
+        return;
+      }
+
+      const message = this.validateValue(definition, values[field]);
+      if (message) {
+        errors.push({ field, message });
+      } else if (definition.type === 'table') {
+        Object.assign(values, TableTotals.calculate(field, definition, values[field]));
+      }
+    });
+
+    return { values, errors };
+  }
+
+  /**
+   * Validate a single non-empty value
+   * @param {Object} definition - Variable definition
+   * @param {*} value - Value to check
+   * @returns {string|null} - Error message, or null if the value is valid
+   */
+  static validateValue(definition, value) {
+    if (definition.type === 'table') {
+      return TableTotals.check(definition, value);
+    }
+
+    const text = String(value).trim();
+
+    switch (definition.type) {
+      case 'number':
+        if (!this.isNumeric(text)) {
+          return 'Must be a number';
+        }
+        break;
+      case 'currency':
+        // Allow symbols and grouping such as "₹ 1,00,000/-"
+        if (!this.isNumeric(text.replace(/^(₹|rs\.?|inr|\$)\s*/i, '').replace(/\/-$/, ''))) {
+          return 'Must be a currency amount';
+        }
+        break;
+      case 'date':
+        if (!this.isDate(text)) {
+          return 'Must be a valid date (YYYY-MM-DD or DD/MM/YYYY)';
+        }
+        break;
+      case 'email':
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+          return 'Must be a valid email address';
+        }
+        break;
+      case 'phone':
+        if (!/^\+?[0-9\s\-().]+$/.test(text) || text.replace(/\D/g, '').length < 7) {
+          return 'Must be a valid phone number';
+        }
+        break;
+      case 'enum':
+        if (!definition.options.includes(text)) {
+          return `Must be one of: ${definition.options.join(', ')}`;
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (definition.pattern) {
+      if (text.length > MAX_PATTERN_INPUT) {
+        return `Must be at most ${MAX_PATTERN_INPUT} characters`;
+      }
+      if (!new RegExp(definition.pattern).test(text)) {
+        return 'Does not match the required format';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a pattern has no nested repetition such as (a+)+ or (a|aa)*,
+   * the usual cause of catastrophic backtracking
+   * @param {string} pattern - Regular expression source, already known to compile
+   * @returns {boolean} - True if no repeated group contains a quantifier or alternation
+   */
+  static isSafePattern(pattern) {
+    const groups = [{ repeats: false }];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const group = groups[groups.length - 1];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push({ repeats: false });
+      } else if (['*', '+', '{', '|'].includes(char)) {
+        group.repeats = true;
+      } else if (char === ')' && groups.length > 1) {
+        groups.pop();
+        if (group.repeats && ['*', '+', '{'].includes(pattern[i + 1])) {
+          return false;
+        }
+        groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || group.repeats;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a value counts as missing
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for undefined, null and blank strings
+   */
+  static isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  }
+
+  /**
+   * Check whether text is a number, allowing thousands separators
+   * @param {string} text - Text to check
+   * @returns {boolean} - True if numeric
+   */
+  static isNumeric(text) {
+    return /^-?\d+(\.\d+)?$/.test(text.replace(/,/g, ''));
+  }
+
+  /**
+   * Check whether text is a valid calendar date
+   * @param {string} text - Text to check
+   * @returns {boolean} - True for valid YYYY-MM-DD or DD/MM/YYYY (also DD-MM-YYYY) dates
+   */
+  static isDate(text) {
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+      [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+      [, day, month, year] = match.map(Number);
+    } else {
+      return false;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+}
+
+module.exports = VariableValidator;
@@ -0,0 +1,107 @@
+const Auth = require('./auth');
+const Permissions = require('./permissions');
+
+class Workspaces {
+  /**
+   * Create middleware that sets req.workspace to the workspace the request works in
+   * The workspace comes from the X-Workspace-Id header (or ?workspaceId=). Without one,
+   * users that belong to a single workspace work in that workspace.
+   * System admins act as workspace admins everywhere.
+   * @param {MetadataStore} store - Metadata store
+   * @returns {Function} - Express middleware
+   */
+  static resolve(store) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return next();
+      }
+
+      const requested = req.get('x-workspace-id') || req.query.workspaceId;
+      req.workspace = null;
+
+      if (requested) {
+        const workspace = store.getWorkspace(requested);
+        if (!workspace) {
+          return res.status(404).json({ error: 'Workspace not found' });
+        }
+        const role = Auth.isAdmin(req.user) ? 'admin' : store.getMemberRole(workspace.id, req.user.id);
+        if (!role) {
+          return res.status(403).json({ error: 'You are not a member of this workspace' });
+        }
+        req.workspace = { ...workspace, role };
+      } else if (!Auth.isAdmin(req.user)) {
+        const memberships = store.listWorkspacesForUser(req.user.id);
+        if (memberships.length === 1) {
+          req.workspace = memberships[0];
+        }
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Create middleware for routes that name the workspace in the URL (:workspaceId)
+   * @param {MetadataStore} store - Metadata store
+   * @param {string} permission - Required permission
+   * @returns {Function} - Express middleware
+   */
+  static requireMembership(store, permission) {
+    return (req, res, next) => {
+      const workspace = store.getWorkspace(req.params.workspaceId);
+      if (!workspace) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+
+      const memberRole = Auth.isAdmin(req.user) ? 'admin' : store.getMemberRole(workspace.id, req.user.id);
+      if (!memberRole) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+      req.workspace = { ...workspace, role: memberRole };
+
+      Permissions.require(permission)(req, res, next);
+    };
+  }
+
+  /**
+   * Work out how the request's workspace may use a template
+   * @param {Object} req - Express request
+   * @param {Object} template - Template
+   * @param {MetadataStore} store - Metadata store
+   * @returns {string|null} - 'write' for the workspace's own templates, 'read' for shared
+   *   templates (and for admins browsing without a workspace), or null for no access
+   */
+  static templateAccess(req, template, store) {
+    if (!req.workspace) {
+      return Auth.isAdmin(req.user) ? 'read' : null;
+    }
+    if (template.workspaceId === req.workspace.id) {
+      return 'write';
+    }
+    return store.isTemplateSharedWith(template.id, req.workspace.id) ? 'read' : null;
+  }
+
+  /**
+   * Check whether the request's workspace may access a workspace-owned record
+   * @param {Object} req - Express request
+   * @param {Object} record - Record with a workspaceId
+   * @returns {boolean} - True if accessible
+   */
+  static canAccess(req, record) {
+    if (!req.workspace) {
+      return Auth.isAdmin(req.user);
+    }
+    return Boolean(record && record.workspaceId === req.workspace.id);
+  }
+
+  /**
+   * Build the workspace filter for list queries
+   * @param {Object} req - Express request
+   * @returns {string|undefined} - Workspace ID, or undefined for admins browsing all workspaces
+   */
+  static filter(req) {
+    return req.workspace ? req.workspace.id : undefined;
+  }
+}
+
+module.exports = Workspaces;